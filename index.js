@@ -0,0 +1,30 @@
+/**
+ * Programmatic API
+ *
+ * The same functions the scripts in scripts/ are built on, for tooling
+ * that wants the data without shelling out. They take their inputs as
+ * arguments and return data instead of writing files:
+ *
+ *   import { generateMappings, generateHtml } from "web-features-polyfills-tools";
+ *
+ *   const { mappings } = await generateMappings({
+ *     sources: ["cssdb", "core-js"],
+ *     overrides: JSON.parse(await fs.readFile("polyfills-overrides.json", "utf-8")),
+ *   });
+ *   const html = await generateHtml(mappings, { npmStats });
+ *
+ * web-features, BCD and cssdb data default to the installed packages, and
+ * can be passed in (`features`, `bcd`, `cssdb`) to generate from other
+ * versions. See the doc comment of each function for its options.
+ */
+
+export { generateMappings } from "./scripts/lib/mappings.js";
+export { generateHtml, generateFeaturePages, generateDashboardHtml } from "./scripts/lib/explorer.js";
+export { SOURCES, MERGE_POLICIES, getSources, runSources } from "./scripts/sources/index.js";
+export { canonicalizeFallbacks, createPackageIndex, isSameFallback } from "./scripts/lib/canonicalize.js";
+export { extractNpmPackage, extractRepository, normalizeUrl } from "./scripts/lib/urls.js";
+export { extractPolyfillLinks } from "./scripts/lib/mdn-polyfills.js";
+export { getPolyfillVerdicts, getFeatureVerdict, resolveTargets, VERDICTS } from "./scripts/lib/polyfill-needs.js";
+export { getNpmPackages } from "./scripts/lib/npm-downloads.js";
+export { polyfillsRollupPlugin, PolyfillsWebpackPlugin } from "./scripts/lib/bundler-plugin.js";
+export { validatePolyfills, validateOverrides } from "./scripts/lib/validation.js";
@@ -0,0 +1,28 @@
+/**
+ * ESLint plugin for web-features polyfills
+ *
+ * Flags imports of polyfills whose feature is Baseline for long enough
+ * that the polyfill can go. See README.md for configuration.
+ */
+
+import noUnneededPolyfill from "./rules/no-unneeded-polyfill.js";
+
+const plugin = {
+  meta: {
+    name: "eslint-plugin-web-features-polyfills",
+    version: "0.1.0",
+  },
+  rules: {
+    "no-unneeded-polyfill": noUnneededPolyfill,
+  },
+  configs: {},
+};
+
+plugin.configs.recommended = {
+  plugins: { "web-features-polyfills": plugin },
+  rules: {
+    "web-features-polyfills/no-unneeded-polyfill": "warn",
+  },
+};
+
+export default plugin;
@@ -0,0 +1,183 @@
+/**
+ * no-unneeded-polyfill: report imports of polyfills for Baseline features
+ *
+ * Looks up each `import`, `import()` and `require()` of a package in the
+ * web-features-polyfills mappings, by npm package name or by core-js
+ * module path (core-js/actual/array/at, core-js/stable/array/at, ...).
+ * When every feature the import polyfills has reached the configured
+ * Baseline status, the import is reported with the feature and the date
+ * it got there. Packages that cover features still short of the
+ * threshold (like the core-js root) are left alone.
+ *
+ * Side-effect-only imports (`import "array.prototype.at/auto"`,
+ * `require("core-js/actual/array/at")`) are removed by --fix. Imports
+ * that bind something need a code change, so they are only reported.
+ */
+
+import { mappings } from "web-features-polyfills";
+import { features } from "web-features";
+
+const STATUS_TEXT = {
+  high: "widely available",
+  low: "newly available",
+};
+
+// Baseline statuses, from least to most available
+const BASELINE_LEVELS = [false, "low", "high"];
+
+let index;
+
+// Index the features polyfilled by each npm package and core-js module
+function getIndex() {
+  if (index) return index;
+
+  index = { packages: new Map(), modules: new Map() };
+  const add = (map, key, featureId) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(featureId);
+  };
+
+  for (const [featureId, entry] of Object.entries(mappings)) {
+    for (const fallback of entry.fallbacks) {
+      if (fallback.type === "code" || !fallback.npm) continue;
+      add(index.packages, fallback.npm, featureId);
+      for (const module of fallback.modules || []) {
+        add(index.modules, module, featureId);
+      }
+    }
+  }
+  return index;
+}
+
+// Get the package name of an import specifier, e.g. "@scope/pkg/auto" -> "@scope/pkg"
+function getPackageName(specifier) {
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+// Map any core-js entry point to the core-js/actual/ path the mappings use,
+// e.g. core-js/stable/array/at.js -> core-js/actual/array/at
+function normalizeCoreJSPath(specifier) {
+  const match = specifier.match(/^core-js(?:-pure)?\/(?:actual|stable|es|full|features)\/(.+?)(?:\/index)?(?:\.js)?$/);
+  return match ? `core-js/actual/${match[1]}` : null;
+}
+
+// Find the features an import specifier polyfills
+function getPolyfilledFeatures(specifier) {
+  const { packages, modules } = getIndex();
+
+  const coreJSPath = normalizeCoreJSPath(specifier);
+  if (coreJSPath && modules.has(coreJSPath)) {
+    return [...modules.get(coreJSPath)];
+  }
+  return [...(packages.get(getPackageName(specifier)) || [])];
+}
+
+// Name features as web-features does, e.g. "array-at" -> "Array at()"
+function getFeatureNames(featureIds) {
+  return featureIds.map(featureId => features[featureId]?.name || featureId).join(", ");
+}
+
+// Describe when a set of features reached Baseline, or null if one of
+// them hasn't reached the threshold
+function getBaselineSince(featureIds, threshold) {
+  const statuses = featureIds.map(featureId => mappings[featureId].status);
+  const minimum = BASELINE_LEVELS.indexOf(threshold);
+  if (statuses.some(status => BASELINE_LEVELS.indexOf(status?.baseline) < minimum)) return null;
+
+  // Report the status all of them share, since the last one got there
+  const level = statuses.every(status => status.baseline === "high") ? "high" : "low";
+  const dates = statuses.map(status => status[`baseline_${level}_date`] || "");
+  return { status: STATUS_TEXT[level], date: dates.sort().at(-1) };
+}
+
+// Remove a statement, and its line if nothing else is on it
+function removeStatement(sourceCode, node, fixer) {
+  const text = sourceCode.text;
+  const [start, end] = node.range;
+  const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+  const newline = text.indexOf("\n", end);
+  const lineEnd = newline === -1 ? text.length : newline + 1;
+
+  const before = text.slice(lineStart, start);
+  const after = text.slice(end, lineEnd);
+  if (before.trim() === "" && after.trim() === "") {
+    return fixer.removeRange([lineStart, lineEnd]);
+  }
+  // Take the spaces that separated it from the statements along the line
+  if (after.trim() === "") {
+    return fixer.removeRange([start - before.match(/[ \t]*$/)[0].length, end]);
+  }
+  return fixer.removeRange([start, end + after.match(/^[ \t]*/)[0].length]);
+}
+
+export default {
+  meta: {
+    type: "suggestion",
+    docs: {
+      description: "Disallow polyfills for features that are Baseline",
+    },
+    fixable: "code",
+    schema: [
+      {
+        type: "object",
+        properties: {
+          baseline: {
+            description: "Report polyfills once their feature is Baseline widely (\"high\") or newly (\"low\") available",
+            enum: ["high", "low"],
+          },
+          ignore: {
+            description: "Packages and import paths to never report",
+            type: "array",
+            items: { type: "string" },
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    messages: {
+      unneeded: "\"{{source}}\" polyfills {{features}}, Baseline {{status}} since {{date}}. It can be removed.",
+    },
+  },
+
+  create(context) {
+    const { baseline = "high", ignore = [] } = context.options[0] || {};
+    const sourceCode = context.sourceCode;
+
+    // Report an import of a polyfill, with a fix if it's a statement of its own
+    function check(sourceNode, statement) {
+      const specifier = sourceNode?.type === "Literal" ? sourceNode.value : null;
+      if (typeof specifier !== "string") return;
+      if (ignore.includes(specifier) || ignore.includes(getPackageName(specifier))) return;
+
+      const featureIds = getPolyfilledFeatures(specifier);
+      if (featureIds.length === 0) return;
+
+      const since = getBaselineSince(featureIds, baseline);
+      if (!since) return;
+
+      context.report({
+        node: sourceNode,
+        messageId: "unneeded",
+        data: { source: specifier, features: getFeatureNames(featureIds), ...since },
+        fix: statement ? fixer => removeStatement(sourceCode, statement, fixer) : null,
+      });
+    }
+
+    return {
+      ImportDeclaration(node) {
+        const sideEffectOnly = node.specifiers.length === 0 && node.importKind !== "type";
+        check(node.source, sideEffectOnly ? node : null);
+      },
+
+      ImportExpression(node) {
+        check(node.source, null);
+      },
+
+      CallExpression(node) {
+        if (node.callee.type !== "Identifier" || node.callee.name !== "require") return;
+        check(node.arguments[0], node.parent.type === "ExpressionStatement" ? node.parent : null);
+      },
+    };
+  },
+};
@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import { RuleTester } from "eslint";
+import rule from "../rules/no-unneeded-polyfill.js";
+
+// Run RuleTester cases as node:test tests
+RuleTester.describe = describe;
+RuleTester.it = it;
+RuleTester.itOnly = it.only;
+
+const ruleTester = new RuleTester({
+  languageOptions: { ecmaVersion: "latest", sourceType: "module" },
+});
+
+ruleTester.run("no-unneeded-polyfill", rule, {
+  valid: [
+    // Not a polyfill
+    'import "lodash";',
+    // The core-js root also covers features that aren't Baseline yet
+    'import "core-js";',
+    // Temporal isn't Baseline yet
+    'import "temporal-polyfill/global";',
+    'require("@js-temporal/polyfill");',
+    // Newly available isn't enough by default
+    'import "set.prototype.intersection/auto";',
+    {
+      code: 'import "intersection-observer";',
+      options: [{ ignore: ["intersection-observer"] }],
+    },
+  ],
+
+  invalid: [
+    {
+      code: 'import "intersection-observer";\nconsole.log("ready");\n',
+      output: 'console.log("ready");\n',
+      errors: [{
+        message: '"intersection-observer" polyfills Intersection observer, Baseline widely available since 2021-09-25. It can be removed.',
+      }],
+    },
+    {
+      code: 'require("intersection-observer");',
+      languageOptions: { sourceType: "commonjs" },
+      output: "",
+      errors: [{ messageId: "unneeded" }],
+    },
+    {
+      code: 'import "core-js/stable/array/at";',
+      output: "",
+      errors: [{
+        message: '"core-js/stable/array/at" polyfills Array at(), Baseline widely available since 2024-09-14. It can be removed.',
+      }],
+    },
+    {
+      // Imports that bind something are only reported
+      code: 'import at from "array.prototype.at";',
+      output: null,
+      errors: [{
+        message: '"array.prototype.at" polyfills Array at(), Baseline widely available since 2024-09-14. It can be removed.',
+      }],
+    },
+    {
+      code: 'import "set.prototype.intersection/auto";',
+      options: [{ baseline: "low" }],
+      output: "",
+      errors: [{ messageId: "unneeded" }],
+    },
+  ],
+});
@@ -0,0 +1,107 @@
+/**
+ * Types for the polyfill mappings, following polyfills.schema.json
+ */
+
+export type BaselineStatus = "high" | "low" | false;
+
+/** Where a fallback was discovered */
+export interface FallbackSource {
+  /** Discovery source, e.g. "mdn", "cssdb", "core-js", "es-shims" or "overrides" */
+  name: string;
+  /** MDN page slug */
+  slug?: string;
+  /** Heading of the MDN section the link is in */
+  section?: string;
+  /** Commit of the MDN content repository */
+  commit?: string;
+  /** cssdb feature ID */
+  id?: string;
+  /** Version of the source package */
+  version?: string;
+  /** Date the source was read (YYYY-MM-DD) */
+  retrieved?: string;
+  /** Later sources that filled in fields of this fallback */
+  enriched_by?: string[];
+}
+
+interface FallbackBase {
+  description?: string;
+  /** Why this fallback shouldn't be used anymore */
+  not_recommended?: string;
+  source?: FallbackSource;
+}
+
+/** A polyfill or PostCSS plugin */
+export interface PackageFallback extends FallbackBase {
+  type: "polyfill" | "postcss-plugin";
+  url: string;
+  /** npm package name */
+  npm?: string;
+  /** GitHub repository as owner/repo */
+  repository?: string;
+  /** Import paths that load only this feature's polyfill, e.g. core-js/actual/array/at */
+  modules?: string[];
+  /** Strings that identify the polyfill in bundled code */
+  code_signature?: string[];
+}
+
+/** Copy-pasteable feature-detection code */
+export interface CodeFallback extends FallbackBase {
+  type: "code";
+  code: string;
+}
+
+export type Fallback = PackageFallback | CodeFallback;
+
+export interface Entry {
+  /** What developers use the feature for */
+  use_case?: string;
+  /** Whether using the feature breaks pages in browsers that don't support it */
+  breaks_in_unsupported_browsers?: boolean;
+  /** The feature's Baseline status when the mappings were generated */
+  status?: {
+    baseline: BaselineStatus;
+    baseline_low_date?: string;
+    baseline_high_date?: string;
+  };
+  fallbacks: Fallback[];
+}
+
+export interface NpmStats {
+  /** Downloads in the last week, or null if the package wasn't found */
+  downloads: number | null;
+  lastModified: string;
+  /** Weekly downloads, oldest first */
+  history?: { start: string; end: string; downloads: number }[];
+}
+
+export interface RemovableFeature {
+  featureId: string;
+  status: NonNullable<Entry["status"]>;
+  fallbacks: PackageFallback[];
+}
+
+/** All mappings, keyed by web-features ID */
+export const mappings: Record<string, Entry>;
+
+/** Weekly npm downloads, keyed by package name */
+export const npmStats: Record<string, NpmStats>;
+
+/** Get a feature's entry, or null if it has no fallbacks */
+export function getEntry(featureId: string): Entry | null;
+
+/** Get a feature's fallbacks (polyfills, PostCSS plugins and code) */
+export function getFallbacks(featureId: string): Fallback[];
+
+/** Find the IDs of the features an npm package is a fallback for */
+export function findFeatureByPackage(npmName: string): string[];
+
+/** Get the weekly downloads of an npm package, or null if unknown */
+export function getNpmStats(npmName: string): NpmStats | null;
+
+/**
+ * List features whose polyfills can be removed, because the feature has
+ * reached the given Baseline status ("high" by default), in the order
+ * they reached it
+ */
+export function listRemovable(options?: { baseline?: "high" | "low" }): RemovableFeature[];
@@ -0,0 +1,63 @@
+/**
+ * Query polyfill mappings for web-features
+ *
+ * The data is a snapshot of mappings/polyfills.json and
+ * mappings/npm-stats.json, copied in by `npm run build-package`. Baseline
+ * statuses are the ones recorded when the mappings were generated.
+ */
+
+import mappings from "./data/polyfills.json" with { type: "json" };
+import npmStats from "./data/npm-stats.json" with { type: "json" };
+
+// Baseline statuses, from least to most available
+const BASELINE_LEVELS = [false, "low", "high"];
+
+export { mappings, npmStats };
+
+// Get a feature's entry, or null if it has no fallbacks
+export function getEntry(featureId) {
+  return mappings[featureId] ?? null;
+}
+
+// Get a feature's fallbacks (polyfills, PostCSS plugins and code)
+export function getFallbacks(featureId) {
+  return mappings[featureId]?.fallbacks ?? [];
+}
+
+// Find the features an npm package is a fallback for. Most packages
+// polyfill a single feature, but some (like core-js) cover many.
+export function findFeatureByPackage(npmName) {
+  if (!npmName) {
+    return [];
+  }
+  return Object.keys(mappings).filter(featureId =>
+    mappings[featureId].fallbacks.some(fallback => fallback.npm === npmName)
+  );
+}
+
+// Get the weekly downloads of an npm package, or null if unknown
+export function getNpmStats(npmName) {
+  return npmStats[npmName] ?? null;
+}
+
+// List features whose polyfills can be removed, because the feature has
+// reached the given Baseline status ("high" by default, or "low"), in the
+// order they reached it. Code fallbacks are left out, since there's no
+// package to remove.
+export function listRemovable({ baseline = "high" } = {}) {
+  const minimum = BASELINE_LEVELS.indexOf(baseline);
+  if (minimum < 1) {
+    throw new Error(`Unknown Baseline status "${baseline}". Use "high" or "low".`);
+  }
+  const dateField = baseline === "high" ? "baseline_high_date" : "baseline_low_date";
+
+  return Object.entries(mappings)
+    .filter(([, entry]) => BASELINE_LEVELS.indexOf(entry.status?.baseline) >= minimum)
+    .map(([featureId, entry]) => ({
+      featureId,
+      status: entry.status,
+      fallbacks: entry.fallbacks.filter(fallback => fallback.type !== "code"),
+    }))
+    .filter(({ fallbacks }) => fallbacks.length > 0)
+    .sort((a, b) => (a.status[dateField] || "").localeCompare(b.status[dateField] || ""));
+}
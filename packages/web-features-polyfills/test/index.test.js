@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mappings, getFallbacks, findFeatureByPackage, listRemovable } from "../index.js";
+
+test("getFallbacks returns a feature's fallbacks", () => {
+  const fallbacks = getFallbacks("intersection-observer");
+
+  assert.ok(fallbacks.some(fallback => fallback.npm === "intersection-observer"));
+  assert.deepEqual(fallbacks, mappings["intersection-observer"].fallbacks);
+});
+
+test("getFallbacks returns an empty list for unknown feature IDs", () => {
+  assert.deepEqual(getFallbacks("not-a-feature"), []);
+  assert.deepEqual(getFallbacks(""), []);
+});
+
+test("findFeatureByPackage finds the features a package polyfills", () => {
+  assert.deepEqual(findFeatureByPackage("intersection-observer"), ["intersection-observer"]);
+  assert.ok(findFeatureByPackage("array.prototype.at").includes("array-at"));
+
+  const coreJsFeatures = findFeatureByPackage("core-js");
+  assert.ok(coreJsFeatures.length > 1);
+  assert.ok(coreJsFeatures.includes("array-at"));
+});
+
+test("findFeatureByPackage returns an empty list for unknown package names", () => {
+  assert.deepEqual(findFeatureByPackage("not-a-polyfill-package"), []);
+  assert.deepEqual(findFeatureByPackage(undefined), []);
+});
+
+test("listRemovable lists widely available features, oldest first, without code fallbacks", () => {
+  const removable = listRemovable();
+  const featureIds = removable.map(({ featureId }) => featureId);
+
+  assert.ok(featureIds.includes("intersection-observer"));
+  assert.ok(!featureIds.includes("temporal"));
+  assert.ok(removable.every(({ status }) => status.baseline === "high"));
+  assert.ok(removable.every(({ fallbacks }) => fallbacks.length > 0 && fallbacks.every(fallback => fallback.type !== "code")));
+
+  const dates = removable.map(({ status }) => status.baseline_high_date || "");
+  assert.deepEqual(dates, [...dates].sort());
+});
+
+test("listRemovable with baseline: low also lists newly available features", () => {
+  const widely = listRemovable().map(({ featureId }) => featureId);
+  const newly = listRemovable({ baseline: "low" });
+
+  assert.ok(newly.length > widely.length);
+  assert.ok(newly.some(({ status }) => status.baseline === "low"));
+  assert.ok(widely.every(featureId => newly.some(entry => entry.featureId === featureId)));
+  assert.ok(!newly.some(({ featureId }) => featureId === "temporal"));
+});
+
+test("listRemovable rejects unknown Baseline statuses", () => {
+  assert.throws(() => listRemovable({ baseline: "limited" }), /Unknown Baseline status "limited"/);
+  assert.throws(() => listRemovable({ baseline: false }), /Unknown Baseline status/);
+});
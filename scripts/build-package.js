@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Build the web-features-polyfills package
+ *
+ * Copies the mappings, their schema and the npm stats of the mapped
+ * packages into packages/web-features-polyfills/data/, next to the
+ * package's query API and TypeScript declarations. Refuses to build from
+ * mappings that don't validate.
+ *
+ * Input: mappings/polyfills.json, mappings/polyfills.schema.json,
+ *        mappings/npm-stats.json (optional)
+ * Output: packages/web-features-polyfills/data/
+ *
+ * Usage:
+ *   node build-package.js
+ *
+ * To publish, bump the version in packages/web-features-polyfills/package.json
+ * and run `npm publish` from that directory; its prepack step runs this
+ * script, so the data is always rebuilt first.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { validatePolyfills, formatProblem } from "./lib/validation.js";
+import { getNpmPackages } from "./lib/npm-downloads.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MAPPINGS_DIR = path.join(__dirname, "../mappings");
+const PACKAGE_DIR = path.join(__dirname, "../packages/web-features-polyfills");
+
+// Load a JSON file from mappings/
+async function loadMappingsFile(fileName) {
+  const content = await fs.readFile(path.join(MAPPINGS_DIR, fileName), "utf-8");
+  return JSON.parse(content);
+}
+
+// Load npm stats, keeping only the packages in the mappings
+async function loadNpmStats(polyfillMappings) {
+  let stats;
+  try {
+    stats = await loadMappingsFile("npm-stats.json");
+  } catch (error) {
+    console.warn("⚠ npm-stats.json not found, the package will ship without npm stats. Run 'npm run generate-npm-stats' first.");
+    return {};
+  }
+
+  return Object.fromEntries(
+    getNpmPackages(polyfillMappings)
+      .filter(name => stats[name])
+      .map(name => [name, stats[name]])
+  );
+}
+
+// Main
+async function main() {
+  const polyfillMappings = await loadMappingsFile("polyfills.json");
+
+  const problems = await validatePolyfills(polyfillMappings);
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`✗ ${formatProblem(problem)}`));
+    throw new Error(`polyfills.json is invalid (${problems.length} problem(s)), not building the package`);
+  }
+
+  const npmStats = await loadNpmStats(polyfillMappings);
+  const schema = await loadMappingsFile("polyfills.schema.json");
+
+  const dataDir = path.join(PACKAGE_DIR, "data");
+  await fs.mkdir(dataDir, { recursive: true });
+  await fs.writeFile(path.join(dataDir, "polyfills.json"), JSON.stringify(polyfillMappings, null, 2));
+  await fs.writeFile(path.join(dataDir, "polyfills.schema.json"), JSON.stringify(schema, null, 2));
+  await fs.writeFile(path.join(dataDir, "npm-stats.json"), JSON.stringify(npmStats, null, 2));
+
+  const { name, version } = JSON.parse(await fs.readFile(path.join(PACKAGE_DIR, "package.json"), "utf-8"));
+  console.log(`✓ Built ${name}@${version}: ${Object.keys(polyfillMappings).length} features, npm stats for ${Object.keys(npmStats).length} packages`);
+  console.log(`✓ Output: ${dataDir}`);
+}
+
+main().catch(err => {
+  console.error("Error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * Diff two generations of the polyfill dataset
+ *
+ * Compares polyfills.json and npm-stats.json between two versions and
+ * produces a changelog: features added/removed, fallbacks added/removed
+ * per feature, Baseline status changes (e.g. newly → widely, meaning
+ * polyfills became removable) and npm download deltas.
+ *
+ * Each version is either a git ref (files are read from its mappings/
+ * directory) or a path to a directory containing polyfills.json and
+ * npm-stats.json. By default, HEAD is compared to the working tree.
+ *
+ * Usage:
+ *   node diff-mappings.js                     # HEAD vs. working tree, Markdown
+ *   node diff-mappings.js main                # main vs. working tree
+ *   node diff-mappings.js v1.0 v1.1 --json    # Between two refs, JSON
+ *   node diff-mappings.js path/to/old-mappings mappings
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { execFileSync } from "child_process";
+import { getUrlKey } from "./lib/urls.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = path.join(__dirname, "..");
+const MAPPINGS_DIR = path.join(REPO_ROOT, "mappings");
+const MAX_DOWNLOAD_ROWS = 20; // Largest download changes listed in Markdown
+
+const STATUS_LABELS = {
+  high: "widely available",
+  low: "newly available",
+  false: "limited availability",
+};
+
+// Parse command line arguments
+const JSON_OUTPUT = process.argv.includes('--json');
+const [FROM = "HEAD", TO = MAPPINGS_DIR] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+// Read a JSON file from a mappings directory or a git ref
+async function readVersionFile(version, fileName, optional = false) {
+  let content;
+  let isDirectory = false;
+  try {
+    isDirectory = (await fs.stat(version)).isDirectory();
+  } catch {
+    // Not a path, so treat it as a git ref
+  }
+
+  try {
+    if (isDirectory) {
+      content = await fs.readFile(path.join(version, fileName), "utf-8");
+    } else {
+      content = execFileSync("git", ["show", `${version}:mappings/${fileName}`], {
+        cwd: REPO_ROOT,
+        encoding: "utf-8",
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ["ignore", "pipe", "ignore"],
+      });
+    }
+  } catch (error) {
+    if (optional) return {};
+    throw new Error(`Could not read ${fileName} from "${version}"`);
+  }
+
+  return JSON.parse(content);
+}
+
+// Identify a fallback across generations, by its npm package if it has
+// one, so that URL normalization alone doesn't show up as a change
+function getFallbackKey(fallback) {
+  if (fallback.type === "code") return `code ${fallback.code}`;
+  return fallback.npm ? `npm ${fallback.npm}` : `url ${getUrlKey(fallback.url)}`;
+}
+
+// Get the Baseline status recorded in an entry, or undefined for older generations
+function getStatus(entry) {
+  return entry?.status?.baseline;
+}
+
+// Compare fallbacks of a feature present in both versions
+function diffFallbacks(oldEntry, newEntry) {
+  const oldKeys = new Map(oldEntry.fallbacks.map(fallback => [getFallbackKey(fallback), fallback]));
+  const newKeys = new Map(newEntry.fallbacks.map(fallback => [getFallbackKey(fallback), fallback]));
+
+  return {
+    added: [...newKeys].filter(([key]) => !oldKeys.has(key)).map(([, fallback]) => fallback),
+    removed: [...oldKeys].filter(([key]) => !newKeys.has(key)).map(([, fallback]) => fallback),
+  };
+}
+
+// Build the structured changelog
+function diffMappings(oldMappings, newMappings, oldStats, newStats) {
+  const changelog = {
+    featuresAdded: [],
+    featuresRemoved: [],
+    fallbacksChanged: [],
+    statusChanged: [],
+    downloads: [],
+  };
+
+  const featureIds = new Set([...Object.keys(oldMappings), ...Object.keys(newMappings)]);
+  for (const featureId of Array.from(featureIds).sort()) {
+    const oldEntry = oldMappings[featureId];
+    const newEntry = newMappings[featureId];
+
+    if (!oldEntry) {
+      changelog.featuresAdded.push({ feature: featureId, fallbacks: newEntry.fallbacks });
+      continue;
+    }
+    if (!newEntry) {
+      changelog.featuresRemoved.push({ feature: featureId, fallbacks: oldEntry.fallbacks });
+      continue;
+    }
+
+    const { added, removed } = diffFallbacks(oldEntry, newEntry);
+    if (added.length > 0 || removed.length > 0) {
+      changelog.fallbacksChanged.push({ feature: featureId, added, removed });
+    }
+
+    const oldStatus = getStatus(oldEntry);
+    const newStatus = getStatus(newEntry);
+    if (oldStatus !== undefined && newStatus !== undefined && oldStatus !== newStatus) {
+      changelog.statusChanged.push({
+        feature: featureId,
+        from: oldStatus,
+        to: newStatus,
+        since: newStatus === "high" ? newEntry.status.baseline_high_date : newEntry.status.baseline_low_date || null,
+        // Polyfills for widely available features can be removed by most sites
+        removable: newStatus === "high",
+      });
+    }
+  }
+
+  const packages = new Set([...Object.keys(oldStats), ...Object.keys(newStats)]);
+  for (const packageName of packages) {
+    const before = oldStats[packageName]?.downloads ?? null;
+    const after = newStats[packageName]?.downloads ?? null;
+    if (before === after) continue;
+
+    changelog.downloads.push({
+      package: packageName,
+      before,
+      after,
+      change: before !== null && after !== null ? after - before : null,
+    });
+  }
+  changelog.downloads.sort((a, b) => Math.abs(b.change ?? 0) - Math.abs(a.change ?? 0) || a.package.localeCompare(b.package));
+
+  return changelog;
+}
+
+// Format a fallback as a Markdown list item
+function formatFallback(fallback) {
+  if (fallback.type === "code") {
+    return `Fallback code: ${fallback.description || "(no description)"}`;
+  }
+  const label = fallback.npm ? `\`${fallback.npm}\`` : fallback.description || fallback.url;
+  return `[${label}](${fallback.url}) (${fallback.type})`;
+}
+
+// Format a number with an explicit sign
+function formatChange(change) {
+  if (change === null) return "n/a";
+  return `${change > 0 ? "+" : ""}${change.toLocaleString("en-US")}`;
+}
+
+// Render the changelog as Markdown for PR descriptions
+function renderMarkdown(changelog, from, to) {
+  const lines = [`## Polyfill dataset changes`, "", `Comparing \`${from}\` → \`${to}\``, ""];
+  const section = (title, items, render) => {
+    if (items.length === 0) return;
+    lines.push(`### ${title} (${items.length})`, "");
+    items.forEach(item => lines.push(...[].concat(render(item))));
+    lines.push("");
+  };
+
+  section("Features added", changelog.featuresAdded, ({ feature, fallbacks }) =>
+    `- \`${feature}\` (${fallbacks.length} fallback(s))`);
+
+  section("Features removed", changelog.featuresRemoved, ({ feature, fallbacks }) =>
+    `- \`${feature}\` (${fallbacks.length} fallback(s))`);
+
+  section("Fallbacks changed", changelog.fallbacksChanged, ({ feature, added, removed }) => [
+    `- \`${feature}\``,
+    ...added.map(fallback => `  - Added: ${formatFallback(fallback)}`),
+    ...removed.map(fallback => `  - Removed: ${formatFallback(fallback)}`),
+  ]);
+
+  section("Baseline status changes", changelog.statusChanged, ({ feature, from, to, since, removable }) =>
+    `- \`${feature}\`: ${STATUS_LABELS[from]} → ${STATUS_LABELS[to]}${since ? ` (since ${since})` : ""}` +
+    (removable ? " — polyfills are now removable for most sites" : ""));
+
+  if (changelog.downloads.length > 0) {
+    lines.push(`### npm downloads (${changelog.downloads.length} package(s) changed)`, "");
+    lines.push("| Package | Before | After | Change |", "| --- | ---: | ---: | ---: |");
+    for (const { package: packageName, before, after, change } of changelog.downloads.slice(0, MAX_DOWNLOAD_ROWS)) {
+      const format = value => value === null ? "n/a" : value.toLocaleString("en-US");
+      lines.push(`| \`${packageName}\` | ${format(before)} | ${format(after)} | ${formatChange(change)} |`);
+    }
+    if (changelog.downloads.length > MAX_DOWNLOAD_ROWS) {
+      lines.push("", `…and ${changelog.downloads.length - MAX_DOWNLOAD_ROWS} more`);
+    }
+    lines.push("");
+  }
+
+  if (lines.length === 4) {
+    lines.push("No changes.", "");
+  }
+
+  return lines.join("\n");
+}
+
+// Main
+async function main() {
+  const [oldMappings, newMappings, oldStats, newStats] = await Promise.all([
+    readVersionFile(FROM, "polyfills.json"),
+    readVersionFile(TO, "polyfills.json"),
+    readVersionFile(FROM, "npm-stats.json", true),
+    readVersionFile(TO, "npm-stats.json", true),
+  ]);
+
+  const changelog = diffMappings(oldMappings, newMappings, oldStats, newStats);
+  const toLabel = TO === MAPPINGS_DIR ? "working tree" : TO;
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify({ from: FROM, to: toLabel, ...changelog }, null, 2));
+  } else {
+    console.log(renderMarkdown(changelog, FROM, toLabel));
+  }
+}
+
+main().catch(err => {
+  console.error("Error:", err);
+  process.exit(1);
+});
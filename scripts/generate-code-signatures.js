@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+
+/**
+ * Generate code signatures for npm polyfills
+ *
+ * For each npm fallback in polyfills.json, reads the package's built
+ * entry point (and the relative modules it loads) from a local package
+ * cache and derives distinctive strings that survive bundling and
+ * minification: string literals such as error messages, and property
+ * names that are not part of the web platform itself. These are recorded
+ * as `code_signature` on the fallback so that bundle scanners can detect
+ * shipped polyfills.
+ *
+ * Tokens that also appear in native code are never used: anything known
+ * to BCD or present on the JavaScript runtime's globals, and anything
+ * shared by more than one package. Neither are short messages that name
+ * nothing in particular ("index is out of range"), which unrelated code
+ * throws too. Packages with fewer than MIN_SIGNATURES distinctive tokens
+ * get no signatures and are reported as undetectable, since scan-bundle.js
+ * needs that many matches to report a package.
+ *
+ * Input: mappings/polyfills.json, package cache
+ * Output: mappings/polyfills.json (with code_signature fields)
+ *
+ * The package cache is a node_modules directory containing the polyfill
+ * packages. Missing packages are skipped, and an install command for them
+ * is printed at the end.
+ *
+ * Usage:
+ *   node generate-code-signatures.js
+ *   node generate-code-signatures.js --package-cache path/to/node_modules
+ */
+
+import bcd from "@mdn/browser-compat-data" with { type: "json" };
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PACKAGE_CACHE = path.join(__dirname, "..", "package-cache", "node_modules");
+const MAX_SIGNATURES = 3; // Signatures recorded per package
+const MIN_SIGNATURES = 2; // Matches scan-bundle.js requires
+const MAX_MODULES = 50; // Relative modules followed per package
+const MIN_STRING_LENGTH = 25;
+const MAX_STRING_LENGTH = 200;
+const DESCRIPTIVE_STRING_LENGTH = 40; // Shorter strings must name an API
+const MIN_PROPERTY_LENGTH = 10;
+
+// Messages from transpiler helpers, which end up in many unrelated bundles
+const HELPER_STRINGS = [
+  /^Invalid attempt to /,
+  /^Cannot call a class as a function/,
+  /^Super expression must/,
+  /^Derived constructors may only/,
+  /^this hasn't been initialised/,
+];
+
+// Get the value following a command line flag, e.g. --package-cache <dir>
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return undefined;
+
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`Missing value for ${flag}`);
+  }
+  return value;
+}
+
+// Parse command line arguments
+const PACKAGE_CACHE = path.resolve(getArgValue('--package-cache') || DEFAULT_PACKAGE_CACHE);
+
+// Load polyfill mappings
+async function loadPolyfillMappings() {
+  const mappingsPath = path.join(__dirname, "../mappings/polyfills.json");
+  const content = await fs.readFile(mappingsPath, "utf-8");
+  return JSON.parse(content);
+}
+
+// Extract unique npm packages from polyfill mappings
+function extractNpmPackages(polyfillMappings) {
+  const packages = new Set();
+
+  for (const feature of Object.values(polyfillMappings)) {
+    for (const fallback of feature.fallbacks) {
+      if (fallback.npm) {
+        packages.add(fallback.npm);
+      }
+    }
+  }
+
+  return Array.from(packages).sort();
+}
+
+// Collect names that native code uses too (BCD identifiers and runtime globals)
+function collectPlatformNames() {
+  const names = new Set();
+
+  const addBCDTree = (tree, depth) => {
+    for (const [key, value] of Object.entries(tree)) {
+      if (key === "__compat") continue;
+      names.add(key);
+      // BCD suffixes some members, e.g. "from_static" or "load_event"
+      names.add(key.replace(/_(static|event|constructor)$/, ""));
+      if (depth > 0 && value && typeof value === "object") {
+        addBCDTree(value, depth - 1);
+      }
+    }
+  };
+  addBCDTree(bcd.api, 2);
+  addBCDTree(bcd.javascript.builtins, 2);
+  addBCDTree(bcd.css.properties, 0);
+  addBCDTree(bcd.html.elements, 0);
+
+  for (const name of Object.getOwnPropertyNames(globalThis)) {
+    names.add(name);
+    const value = globalThis[name];
+    if (value && (typeof value === "object" || typeof value === "function")) {
+      Object.getOwnPropertyNames(value).forEach(member => names.add(member));
+      if (value.prototype) {
+        Object.getOwnPropertyNames(value.prototype).forEach(member => names.add(member));
+      }
+    }
+  }
+
+  return names;
+}
+
+// Resolve the browser-facing entry point of a package, relative to its directory
+function resolveEntryPoint(packageJson) {
+  const pick = target => {
+    if (typeof target === "string") return target;
+    if (target && typeof target === "object") {
+      for (const condition of ["browser", "import", "default", "require"]) {
+        const resolved = pick(target[condition]);
+        if (resolved) return resolved;
+      }
+    }
+    return null;
+  };
+
+  if (typeof packageJson.browser === "string") return packageJson.browser;
+
+  const exportsField = packageJson.exports;
+  if (exportsField) {
+    const rootExport = typeof exportsField === "object" && "." in exportsField ? exportsField["."] : exportsField;
+    const resolved = pick(rootExport);
+    if (resolved) return resolved;
+  }
+
+  return packageJson.module || packageJson.main || "index.js";
+}
+
+// Resolve a relative module specifier to an existing file
+async function resolveModuleFile(basePath) {
+  const candidates = [basePath, `${basePath}.js`, `${basePath}.mjs`, `${basePath}.cjs`, path.join(basePath, "index.js")];
+
+  for (const candidate of candidates) {
+    try {
+      const stat = await fs.stat(candidate);
+      if (stat.isFile()) return candidate;
+    } catch {
+      // Try next candidate
+    }
+  }
+
+  return null;
+}
+
+// Split source into code and string literals, dropping comments (which
+// minifiers strip and therefore never match in bundles)
+function tokenizeSource(source) {
+  const code = [];
+  const strings = [];
+  let start = 0;
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === "/" && (next === "/" || next === "*")) {
+      code.push(source.slice(start, i));
+      const end = next === "/" ? source.indexOf("\n", i) : source.indexOf("*/", i + 2) + 2;
+      i = end <= 1 ? source.length : end;
+      start = i;
+    } else if (char === '"' || char === "'" || char === "`") {
+      code.push(source.slice(start, i));
+      let j = i + 1;
+      while (j < source.length && source[j] !== char && (char === "`" || source[j] !== "\n")) {
+        j += source[j] === "\\" ? 2 : 1;
+      }
+      strings.push(source.slice(i + 1, j));
+      i = j + 1;
+      start = i;
+    } else {
+      i++;
+    }
+  }
+  code.push(source.slice(start));
+
+  return { code: code.join(" "), strings };
+}
+
+// Read a package's entry point and every relative module it loads
+async function readPackageSources(packageName) {
+  const packageDir = path.join(PACKAGE_CACHE, packageName);
+
+  let packageJson;
+  try {
+    packageJson = JSON.parse(await fs.readFile(path.join(packageDir, "package.json"), "utf-8"));
+  } catch {
+    return null;
+  }
+
+  const entry = await resolveModuleFile(path.join(packageDir, resolveEntryPoint(packageJson)));
+  if (!entry) return [];
+
+  const sources = [];
+  const queue = [entry];
+  const seen = new Set(queue);
+
+  while (queue.length > 0 && sources.length < MAX_MODULES) {
+    const filePath = queue.shift();
+    const source = await fs.readFile(filePath, "utf-8");
+    sources.push(tokenizeSource(source));
+
+    const specifiers = source.matchAll(/(?:require\(|import\(|from\s*|import\s+)["'](\.{1,2}\/[^"']+)["']/g);
+    for (const [, specifier] of specifiers) {
+      const resolved = await resolveModuleFile(path.resolve(path.dirname(filePath), specifier));
+      if (resolved && !seen.has(resolved) && resolved.startsWith(packageDir)) {
+        seen.add(resolved);
+        queue.push(resolved);
+      }
+    }
+  }
+
+  return sources;
+}
+
+// Check whether a string names platform APIs only, e.g. "String.prototype.slice"
+function isPlatformPath(value, platformNames) {
+  return /^[\w$]+(\.[\w$]+)*$/.test(value) &&
+    value.split(".").every(part => part === "prototype" || platformNames.has(part));
+}
+
+// Extract candidate tokens (string literals and property names) from sources
+function extractTokens(sources, platformNames) {
+  const strings = new Set();
+  const properties = new Set();
+
+  for (const { code, strings: literals } of sources) {
+    for (const value of literals) {
+      if (value.length < MIN_STRING_LENGTH || value.length > MAX_STRING_LENGTH) continue;
+      if (!/[a-z]/i.test(value) || value.includes("${")) continue;
+      // Minifiers may rewrite escape sequences, so only keep literal text
+      if (value.includes("\\")) continue;
+      // Identifier-like strings (e.g. "AdvanceStringIndex" or "[[Resolve]]")
+      // are mostly shared helpers, and URLs are mostly namespaces
+      if (/^[\w$.%\[\]]+$/.test(value) || /^[a-z]+:\/\//.test(value)) continue;
+      // Skip code fragments, e.g. from templates or mis-tokenized regular expressions
+      if (/\)\s*\{|=>|\bfunction\b|\breturn\b/.test(value)) continue;
+      // Skip module specifiers, which disappear when bundled
+      if (/^(\.{1,2}\/)?@?[\w.-]+(\/[\w.-]+)*$/.test(value) && /[-/]|^[a-z0-9.]+$/.test(value)) continue;
+      if (HELPER_STRINGS.some(pattern => pattern.test(value))) continue;
+      // Short messages are only distinctive if they name something, e.g.
+      // "Intl.Locale must be called with 'new'" but not "target must be an object"
+      if (value.length < DESCRIPTIVE_STRING_LENGTH && !/[a-z][A-Z]|\w\.\w/.test(value)) continue;
+      // es-abstract intrinsics, e.g. "%Promise.reject%", are shared by all es-shims
+      const intrinsic = value.replace(/^%(.*)%$/, "$1");
+      if (platformNames.has(intrinsic) || isPlatformPath(intrinsic, platformNames)) continue;
+      strings.add(value);
+    }
+
+    for (const [, name] of code.matchAll(/\.([A-Za-z_$][\w$]*)/g)) {
+      if (name.length < MIN_PROPERTY_LENGTH || platformNames.has(name)) continue;
+      // Constants like DOCUMENT_FRAGMENT_NODE mostly belong to the platform
+      if (/^[A-Z][A-Z0-9_]*$/.test(name)) continue;
+      properties.add(name);
+    }
+  }
+
+  return { strings, properties };
+}
+
+// Pick the most distinctive tokens: strings before property names, longest first
+function pickSignatures({ strings, properties }, tokenCounts) {
+  const unique = tokens => Array.from(tokens)
+    .filter(token => tokenCounts.get(token) === 1)
+    .sort((a, b) => b.length - a.length || a.localeCompare(b));
+
+  return [...unique(strings), ...unique(properties)].slice(0, MAX_SIGNATURES);
+}
+
+// Derive signatures for all packages found in the cache
+async function generateSignatures(packages) {
+  const platformNames = collectPlatformNames();
+  const tokensByPackage = new Map();
+  const missing = [];
+
+  for (const packageName of packages) {
+    const sources = await readPackageSources(packageName);
+    if (sources === null) {
+      missing.push(packageName);
+      continue;
+    }
+    tokensByPackage.set(packageName, extractTokens(sources, platformNames));
+  }
+
+  // Count how many packages contain each token
+  const tokenCounts = new Map();
+  for (const { strings, properties } of tokensByPackage.values()) {
+    for (const token of new Set([...strings, ...properties])) {
+      tokenCounts.set(token, (tokenCounts.get(token) || 0) + 1);
+    }
+  }
+
+  const signatures = {};
+  const undetectable = [];
+  for (const [packageName, tokens] of tokensByPackage) {
+    const packageSignatures = pickSignatures(tokens, tokenCounts);
+    if (packageSignatures.length >= MIN_SIGNATURES) {
+      signatures[packageName] = packageSignatures;
+      console.log(`✓ ${packageName}: ${packageSignatures.length} signature(s)`);
+    } else {
+      undetectable.push(packageName);
+      console.log(`  - ${packageName}: ${packageSignatures.length} distinctive signature(s), undetectable`);
+    }
+  }
+
+  return { signatures, missing, undetectable };
+}
+
+// Main
+async function main() {
+  console.log("Loading polyfill mappings...");
+  const polyfillMappings = await loadPolyfillMappings();
+
+  const packages = extractNpmPackages(polyfillMappings);
+  console.log(`Found ${packages.length} unique npm packages`);
+  console.log(`Reading packages from ${PACKAGE_CACHE}\n`);
+
+  const { signatures, missing, undetectable } = await generateSignatures(packages);
+
+  // Record signatures on every fallback, dropping stale ones
+  for (const feature of Object.values(polyfillMappings)) {
+    for (const fallback of feature.fallbacks) {
+      if (!fallback.npm) continue;
+      if (signatures[fallback.npm]) {
+        fallback.code_signature = signatures[fallback.npm];
+      } else if (!missing.includes(fallback.npm)) {
+        delete fallback.code_signature;
+      }
+    }
+  }
+
+  const outputPath = path.join(__dirname, "../mappings/polyfills.json");
+  await fs.writeFile(outputPath, JSON.stringify(polyfillMappings, null, 2) + "\n");
+
+  console.log(`\n✓ Generated signatures for ${Object.keys(signatures).length} packages`);
+  if (undetectable.length > 0) {
+    console.log(`⚠ ${undetectable.length} package(s) have fewer than ${MIN_SIGNATURES} distinctive signatures and can't be detected in bundles`);
+  }
+  if (missing.length > 0) {
+    console.log(`⚠ ${missing.length} package(s) not in the package cache. To add them, run:`);
+    console.log(`  npm install --prefix ${path.dirname(PACKAGE_CACHE)} --no-save ${missing.join(" ")}`);
+  }
+  console.log(`✓ Output: ${outputPath}`);
+}
+
+main().catch(err => {
+  console.error("Error:", err);
+  process.exit(1);
+});
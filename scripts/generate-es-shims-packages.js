@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the list of es-shims packages
+ *
+ * es-shims packages are named after the spec section of what they
+ * polyfill (see lib/js-polyfills.js), so candidate names are derived from
+ * the installed web-features and BCD data. Each candidate is looked up in
+ * the npm registry, and the ones published from an es-shims repository
+ * are saved to es-shims-packages.json with that repository.
+ *
+ * The es-shims source of generate-polyfill-mappings.js reads this list
+ * instead of the registry, so mapping generation works offline and gives
+ * the same result on every run. Run this script after updating
+ * web-features or BCD to pick up new es-shims packages. Packages that
+ * can't be looked up (e.g. on a network error) keep their entry from the
+ * previous list, and the script exits with 1.
+ *
+ * Output: mappings/es-shims-packages.json
+ *
+ * Usage:
+ *   node generate-es-shims-packages.js
+ *   node generate-es-shims-packages.js --concurrency 8
+ *   node generate-es-shims-packages.js --registry http://localhost:8080  # e.g. a mirror
+ *   node generate-es-shims-packages.js --output path/to/es-shims-packages.json
+ *
+ * The registry URL can also be set with the NPM_REGISTRY environment
+ * variable.
+ */
+
+import { features } from "web-features";
+import bcd from "@mdn/browser-compat-data" with { type: "json" };
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getESShimsCandidates, getESShimsRepository } from "./lib/js-polyfills.js";
+import { NPM_REGISTRY, createRegistryClient } from "./lib/npm-registry.js";
+import { runWithConcurrency } from "./lib/npm-downloads.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, "../mappings/es-shims-packages.json");
+const DEFAULT_CONCURRENCY = 8; // Requests in flight at once
+
+// Get the value following a command line flag, e.g. --registry <url>
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return undefined;
+
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`Missing value for ${flag}`);
+  }
+  return value;
+}
+
+// Parse command line arguments
+const CONCURRENCY = Number(getArgValue('--concurrency') || DEFAULT_CONCURRENCY);
+const REGISTRY = (getArgValue('--registry') || process.env.NPM_REGISTRY || NPM_REGISTRY).replace(/\/$/, "");
+const OUTPUT_PATH = path.resolve(getArgValue('--output') || DEFAULT_OUTPUT_PATH);
+
+// Load the current list, to fall back on for packages that can't be looked up
+async function loadPreviousPackages() {
+  try {
+    return JSON.parse(await fs.readFile(OUTPUT_PATH, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw new Error(`Can't read ${OUTPUT_PATH} (${error.message})`);
+  }
+}
+
+// Main
+async function main() {
+  const candidates = getESShimsCandidates({ features, bcd });
+  const names = [...new Set(Object.values(candidates).flat().map(candidate => candidate.name))].sort();
+  console.log(`Checking ${names.length} candidate package(s) against ${REGISTRY}...\n`);
+
+  const previous = await loadPreviousPackages();
+  const client = createRegistryClient({ registry: REGISTRY });
+  const packages = {};
+  const failed = [];
+
+  await runWithConcurrency(names, CONCURRENCY, async name => {
+    let manifest;
+    try {
+      manifest = await client.fetchLatestManifest(name);
+    } catch (error) {
+      console.warn(`  ⚠ ${error.message}`);
+      failed.push(name);
+      if (previous[name]) packages[name] = previous[name];
+      return;
+    }
+
+    const repository = getESShimsRepository(manifest);
+    if (repository) {
+      packages[name] = repository;
+      console.log(`✓ ${name}: ${repository}`);
+    }
+  });
+
+  // Keep the output stable by sorting packages by name
+  const sorted = Object.fromEntries(Object.entries(packages).sort(([a], [b]) => a.localeCompare(b)));
+  await fs.writeFile(OUTPUT_PATH, JSON.stringify(sorted, null, 2) + "\n");
+
+  console.log(`\n✓ Found ${Object.keys(sorted).length} es-shims packages`);
+  console.log(`✓ Output: ${OUTPUT_PATH}`);
+
+  if (failed.length > 0) {
+    console.warn(`⚠ Failed to check ${failed.length} package(s), kept as previously listed: ${failed.sort().join(", ")}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error("Error:", err);
+  process.exit(1);
+});
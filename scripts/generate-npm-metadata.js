@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Generate npm package metadata
+ *
+ * Reads polyfills.json, extracts npm packages, queries the npm registry
+ * for each package's latest version and saves a summary to
+ * npm-metadata.json: deprecation message, last publish date, unpacked and
+ * estimated install size, dependency count, license, maintainer count and
+ * source repository.
+ *
+ * Together with npm-stats.json, this helps decide whether to migrate away
+ * from a polyfill: deprecated or long-unmaintained packages are flagged in
+ * the explorer. The repositories let generate-polyfill-mappings.js tell
+ * that an npm link and a GitHub link are the same polyfill.
+ *
+ * By default, only refreshes packages that are older than 1 week or
+ * have never been queried. Use --force to refresh all packages.
+ *
+ * Input: mappings/polyfills.json
+ * Output: mappings/npm-metadata.json
+ *
+ * Usage:
+ *   node generate-npm-metadata.js          # Refresh only stale packages
+ *   node generate-npm-metadata.js --force  # Refresh all packages
+ *   node generate-npm-metadata.js --concurrency 8
+ *   node generate-npm-metadata.js --registry http://localhost:8080  # e.g. a mirror
+ *
+ * The registry URL can also be set with the NPM_REGISTRY environment
+ * variable.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { NPM_REGISTRY, createRegistryClient } from "./lib/npm-registry.js";
+import { getNpmPackages, runWithConcurrency } from "./lib/npm-downloads.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const OUTPUT_PATH = path.join(__dirname, "../mappings/npm-metadata.json");
+const DEFAULT_CONCURRENCY = 4; // Requests in flight at once
+const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000; // 1 week in milliseconds
+
+// Get the value following a command line flag, e.g. --registry <url>
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return undefined;
+
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`Missing value for ${flag}`);
+  }
+  return value;
+}
+
+// Parse command line arguments
+const FORCE_REFRESH = process.argv.includes('--force') || process.argv.includes('-f');
+const CONCURRENCY = Number(getArgValue('--concurrency') || DEFAULT_CONCURRENCY);
+const REGISTRY = (getArgValue('--registry') || process.env.NPM_REGISTRY || NPM_REGISTRY).replace(/\/$/, "");
+
+// Load existing metadata
+async function loadExistingMetadata() {
+  try {
+    const content = await fs.readFile(OUTPUT_PATH, "utf-8");
+    return JSON.parse(content);
+  } catch (error) {
+    // File doesn't exist or is invalid, start fresh
+    return {};
+  }
+}
+
+// Check if a package needs to be refreshed
+function needsRefresh(packageName, existingMetadata) {
+  if (FORCE_REFRESH || !existingMetadata[packageName]?.lastModified) {
+    return true;
+  }
+
+  const lastModified = new Date(existingMetadata[packageName].lastModified);
+  return new Date() - lastModified > ONE_WEEK_MS;
+}
+
+// Load polyfill mappings
+async function loadPolyfillMappings() {
+  const mappingsPath = path.join(__dirname, "../mappings/polyfills.json");
+  const content = await fs.readFile(mappingsPath, "utf-8");
+  return JSON.parse(content);
+}
+
+// Format a byte count for the console
+function formatBytes(bytes) {
+  if (bytes === null) return "size unknown";
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} kB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Main
+async function main() {
+  console.log("Loading polyfill mappings...");
+  const polyfillMappings = await loadPolyfillMappings();
+
+  console.log("Extracting npm packages...");
+  const packages = getNpmPackages(polyfillMappings);
+  console.log(`Found ${packages.length} unique npm packages`);
+
+  const metadata = await loadExistingMetadata();
+  const packagesToRefresh = packages.filter(pkg => needsRefresh(pkg, metadata));
+  console.log(`Packages needing refresh: ${packagesToRefresh.length}\n`);
+
+  const client = createRegistryClient({ registry: REGISTRY });
+  const failed = [];
+
+  await runWithConcurrency(packagesToRefresh, CONCURRENCY, async packageName => {
+    let summary;
+    try {
+      summary = await client.fetchMetadata(packageName);
+    } catch (error) {
+      console.warn(`  ⚠ ${error.message}`);
+      failed.push(packageName);
+      return;
+    }
+
+    if (!summary) {
+      console.warn(`  ⚠ Package not found: ${packageName}`);
+      metadata[packageName] = { version: null, lastModified: new Date().toISOString() };
+      return;
+    }
+
+    metadata[packageName] = { ...summary, lastModified: new Date().toISOString() };
+    const notes = [`v${summary.version}`, formatBytes(summary.unpackedSize), `${summary.dependencies} dependencies`];
+    if (summary.deprecated) notes.push("deprecated");
+    console.log(`✓ ${packageName}: ${notes.join(", ")}`);
+  });
+
+  // Keep the output stable by sorting packages by name
+  const sorted = Object.fromEntries(Object.entries(metadata).sort(([a], [b]) => a.localeCompare(b)));
+  await fs.writeFile(OUTPUT_PATH, JSON.stringify(sorted, null, 2) + "\n");
+
+  console.log(`\n✓ Refreshed metadata for ${packagesToRefresh.length - failed.length} packages`);
+  console.log(`✓ Output: ${OUTPUT_PATH}`);
+
+  if (failed.length > 0) {
+    console.warn(`⚠ Failed to fetch ${failed.length} package(s): ${failed.join(", ")}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error("Error:", err);
+  process.exit(1);
+});
@@ -6,6 +6,20 @@
  * Reads polyfills.json, extracts npm packages, queries the npm API
  * for weekly download counts, and saves to npm-stats.json
  * 
+ * Each package keeps a dated history of weekly downloads, so trends stay
+ * visible after a feature becomes Baseline. Packages without history are
+ * backfilled with the last BACKFILL_WEEKS weeks from the npm range API;
+ * later refreshes fetch every week since the last recorded one (up to
+ * BACKFILL_WEEKS), so runs more than a week apart leave no gaps. Weeks run
+ * Sunday to Saturday, and a week replaces any recorded weeks it overlaps.
+ * `downloads` always holds the most recent week.
+ * 
+ * Requests run concurrently (unscoped packages in bulk) with adaptive
+ * backoff on rate limits. Progress is saved to npm-stats.json after every
+ * request, and a checkpoint file records which packages are done, so an
+ * interrupted run resumes where it left off. The checkpoint is removed
+ * once every package has been fetched.
+ * 
  * By default, only refreshes packages that are older than 1 week or
  * have never been queried. Use --force to refresh all packages.
  * 
@@ -15,26 +29,55 @@
  * Usage:
  *   node generate-npm-stats.js          # Refresh only stale packages
  *   node generate-npm-stats.js --force  # Refresh all packages
+ *   node generate-npm-stats.js --concurrency 8
+ *   node generate-npm-stats.js --api-base http://localhost:8080  # e.g. a stub server
+ *   node generate-npm-stats.js --output path/to/npm-stats.json
+ * 
+ * The API base URL can also be set with the NPM_DOWNLOADS_API environment
+ * variable. The checkpoint is kept next to the output file.
  */
 
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  NPM_API_BASE,
+  createDownloadsClient,
+  getLastWeekEnd,
+  getNpmPackages,
+  planBatches,
+  runWithConcurrency,
+} from "./lib/npm-downloads.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const NPM_API_BASE = "https://api.npmjs.org/downloads/point/last-week";
-const DELAY_MS = 750; // Delay between API requests to avoid rate limiting
-const MAX_RETRIES = 2; // Retry on rate limit errors
+const DEFAULT_OUTPUT_PATH = path.join(__dirname, "../mappings/npm-stats.json");
+const BACKFILL_WEEKS = 52; // Weeks of history fetched for new packages
+const DEFAULT_CONCURRENCY = 4; // Requests in flight at once
 const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000; // 1 week in milliseconds
 
+// Get the value following a command line flag, e.g. --api-base <url>
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return undefined;
+  
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`Missing value for ${flag}`);
+  }
+  return value;
+}
+
 // Parse command line arguments
 const FORCE_REFRESH = process.argv.includes('--force') || process.argv.includes('-f');
+const CONCURRENCY = Number(getArgValue('--concurrency') || DEFAULT_CONCURRENCY);
+const API_BASE = getArgValue('--api-base') || process.env.NPM_DOWNLOADS_API || NPM_API_BASE;
+const OUTPUT_PATH = path.resolve(getArgValue('--output') || DEFAULT_OUTPUT_PATH);
+const CHECKPOINT_PATH = path.join(path.dirname(OUTPUT_PATH), ".npm-stats-checkpoint.json");
 
 // Load existing npm stats
 async function loadExistingStats() {
   try {
-    const statsPath = path.join(__dirname, "../mappings/npm-stats.json");
-    const content = await fs.readFile(statsPath, "utf-8");
+    const content = await fs.readFile(OUTPUT_PATH, "utf-8");
     return JSON.parse(content);
   } catch (error) {
     // File doesn't exist or is invalid, start fresh
@@ -59,6 +102,11 @@ function needsRefresh(packageName, existingStats) {
     return true;
   }
   
+  // Package has no download history yet (legacy format), so backfill it
+  if (existingStats[packageName].downloads !== null && !existingStats[packageName].history?.length) {
+    return true;
+  }
+  
   // Check if stats are older than 1 week
   const lastModified = new Date(existingStats[packageName].lastModified);
   const now = new Date();
@@ -74,64 +122,73 @@ async function loadPolyfillMappings() {
   return JSON.parse(content);
 }
 
-// Extract unique npm packages from polyfill mappings
-function extractNpmPackages(polyfillMappings) {
-  const packages = new Set();
-  
-  for (const feature of Object.values(polyfillMappings)) {
-    for (const fallback of feature.fallbacks) {
-      if (fallback.npm) {
-        packages.add(fallback.npm);
-      }
-    }
-  }
-  
-  return Array.from(packages).sort();
+// Merge weekly history entries. Added weeks replace the recorded weeks
+// they overlap, e.g. weeks recorded before weeks ran Sunday to Saturday.
+function mergeHistory(existing = [], additions = []) {
+  const overlaps = week => additions.some(added => week.start <= added.end && added.start <= week.end);
+  return [...existing.filter(week => !overlaps(week)), ...additions]
+    .sort((a, b) => a.end.localeCompare(b.end));
 }
 
-// Fetch download stats for a single package
-async function fetchPackageStats(packageName, retryCount = 0) {
+// Count the weeks from a package's last recorded week to the last complete
+// week: at least that one, to refresh it, and at most BACKFILL_WEEKS
+function getMissingWeeks(history) {
+  const lastWeekEnd = new Date(getLastWeekEnd().toISOString().split("T")[0]);
+  const weeks = Math.ceil((lastWeekEnd - new Date(history[history.length - 1].end)) / ONE_WEEK_MS);
+  return Math.min(BACKFILL_WEEKS, Math.max(1, weeks));
+}
+
+// Load the checkpoint of an interrupted run, if any
+async function loadCheckpoint() {
   try {
-    // URL encode package name to handle scoped packages like @js-temporal/polyfill
-    const encodedName = encodeURIComponent(packageName);
-    const response = await fetch(`${NPM_API_BASE}/${encodedName}`);
-    
-    if (response.status === 404) {
-      console.warn(`  ⚠ Package not found: ${packageName}`);
-      return null;
-    }
-    
-    if (response.status === 429 && retryCount < MAX_RETRIES) {
-      // Rate limited, wait longer and retry
-      const waitTime = DELAY_MS * (retryCount + 2);
-      console.log(`  ⏳ Rate limited on ${packageName}, waiting ${waitTime}ms before retry ${retryCount + 1}/${MAX_RETRIES}...`);
-      await delay(waitTime);
-      return fetchPackageStats(packageName, retryCount + 1);
-    }
-    
-    if (!response.ok) {
-      console.warn(`  ⚠ Failed to fetch stats for ${packageName}: ${response.status}`);
-      return null;
-    }
-    
-    const data = await response.json();
-    return data.downloads;
+    const content = await fs.readFile(CHECKPOINT_PATH, "utf-8");
+    return JSON.parse(content);
   } catch (error) {
-    console.warn(`  ⚠ Error fetching stats for ${packageName}:`, error.message);
     return null;
   }
 }
 
-// Add delay between requests
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Write a file atomically, so an interrupted write never leaves it truncated
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, content);
+  await fs.rename(tempPath, filePath);
 }
 
-// Fetch stats for all packages
-async function fetchAllStats(packages, existingStats) {
+// Record fetched weeks for a package
+function applyWeeks(stats, packageName, weeks) {
+  if (weeks !== null && weeks.length > 0) {
+    const history = mergeHistory(stats[packageName]?.history, weeks);
+    const downloads = history[history.length - 1].downloads;
+    stats[packageName] = {
+      downloads: downloads,
+      lastModified: new Date().toISOString(),
+      history
+    };
+    console.log(`✓ ${packageName}: ${downloads.toLocaleString()} downloads/week (${history.length} week(s) of history)`);
+  } else {
+    console.warn(`  ⚠ Package not found: ${packageName}`);
+    if (!stats[packageName]) {
+      // Package not found, but we should track that we tried
+      stats[packageName] = {
+        downloads: null,
+        lastModified: new Date().toISOString()
+      };
+    }
+  }
+}
+
+// Fetch stats for all packages, saving progress after every batch
+async function fetchAllStats(packages, existingStats, client) {
   const stats = { ...existingStats }; // Start with existing stats
-  const packagesToRefresh = packages.filter(pkg => needsRefresh(pkg, existingStats));
-  let processed = 0;
+  const checkpoint = await loadCheckpoint();
+  const completed = new Set(checkpoint?.completed || []);
+  
+  if (checkpoint) {
+    console.log(`\nResuming run started ${checkpoint.startedAt} (${completed.size} package(s) already done)`);
+  }
+  
+  const packagesToRefresh = packages.filter(pkg => needsRefresh(pkg, existingStats) && !completed.has(pkg));
   
   console.log(`\nTotal packages: ${packages.length}`);
   console.log(`Packages needing refresh: ${packagesToRefresh.length}`);
@@ -139,40 +196,62 @@ async function fetchAllStats(packages, existingStats) {
   
   if (packagesToRefresh.length === 0) {
     console.log("All packages are up-to-date! No API requests needed.\n");
-    return stats;
+    await fs.rm(CHECKPOINT_PATH, { force: true });
+    return { stats, refreshed: 0, failed: [] };
   }
   
-  console.log(`Fetching stats for ${packagesToRefresh.length} packages...\n`);
+  // Packages without history are backfilled; the rest get the weeks since
+  // their last recorded one, batched with packages missing as many weeks
+  const missingWeeks = new Map();
+  for (const pkg of packagesToRefresh) {
+    const weeks = stats[pkg]?.history?.length ? getMissingWeeks(stats[pkg].history) : BACKFILL_WEEKS;
+    if (!missingWeeks.has(weeks)) missingWeeks.set(weeks, []);
+    missingWeeks.get(weeks).push(pkg);
+  }
+  const tasks = [...missingWeeks].flatMap(([weeks, names]) =>
+    planBatches(names).map(batch => ({ names: batch, fetch: () => client.fetchWeeks(batch, weeks) }))
+  );
   
-  for (const packageName of packagesToRefresh) {
-    const downloads = await fetchPackageStats(packageName);
-    
-    if (downloads !== null) {
-      stats[packageName] = {
-        downloads: downloads,
-        lastModified: new Date().toISOString()
-      };
-      console.log(`✓ ${packageName}: ${downloads.toLocaleString()} downloads/week`);
-    } else if (!stats[packageName]) {
-      // Package not found, but we should track that we tried
-      stats[packageName] = {
-        downloads: null,
-        lastModified: new Date().toISOString()
-      };
+  console.log(`Fetching stats for ${packagesToRefresh.length} packages in ${tasks.length} request(s), ${CONCURRENCY} at a time...\n`);
+  
+  const checkpointState = { startedAt: checkpoint?.startedAt || new Date().toISOString(), completed: [...completed] };
+  const failed = [];
+  let refreshed = 0;
+  let saving = Promise.resolve();
+  
+  await runWithConcurrency(tasks, CONCURRENCY, async task => {
+    let results;
+    try {
+      results = await task.fetch();
+    } catch (error) {
+      console.warn(`  ⚠ ${error.message}`);
+      failed.push(...task.names);
+      return;
     }
     
-    processed++;
-    if (processed % 10 === 0) {
-      console.log(`\nProgress: ${processed}/${packagesToRefresh.length}\n`);
+    for (const packageName of task.names) {
+      applyWeeks(stats, packageName, results.get(packageName));
     }
+    refreshed += task.names.length;
+    checkpointState.completed.push(...task.names);
     
-    // Add delay to avoid rate limiting
-    if (processed < packagesToRefresh.length) {
-      await delay(DELAY_MS);
-    }
+    // Save stats and checkpoint together, one write at a time
+    const snapshot = JSON.stringify(stats, null, 2) + "\n";
+    const checkpointSnapshot = JSON.stringify(checkpointState, null, 2);
+    saving = saving.then(async () => {
+      await writeFileAtomic(OUTPUT_PATH, snapshot);
+      await writeFileAtomic(CHECKPOINT_PATH, checkpointSnapshot);
+    });
+    await saving;
+    
+    console.log(`\nProgress: ${checkpointState.completed.length - completed.size}/${packagesToRefresh.length}\n`);
+  });
+  
+  if (failed.length === 0) {
+    await fs.rm(CHECKPOINT_PATH, { force: true });
   }
   
-  return stats;
+  return { stats, refreshed, failed };
 }
 
 // Main
@@ -181,7 +260,7 @@ async function main() {
   const polyfillMappings = await loadPolyfillMappings();
   
   console.log("Extracting npm packages...");
-  const packages = extractNpmPackages(polyfillMappings);
+  const packages = getNpmPackages(polyfillMappings);
   console.log(`Found ${packages.length} unique npm packages`);
   
   console.log("\nLoading existing stats...");
@@ -191,15 +270,20 @@ async function main() {
     console.log("Force refresh enabled - all packages will be updated");
   }
   
-  const stats = await fetchAllStats(packages, existingStats);
+  const client = createDownloadsClient({ baseUrl: API_BASE });
+  const { stats, refreshed, failed } = await fetchAllStats(packages, existingStats, client);
   
-  const outputPath = path.join(__dirname, "../mappings/npm-stats.json");
-  await fs.writeFile(outputPath, JSON.stringify(stats, null, 2));
+  await writeFileAtomic(OUTPUT_PATH, JSON.stringify(stats, null, 2) + "\n");
   
-  const refreshedCount = packages.filter(pkg => needsRefresh(pkg, existingStats)).length;
-  console.log(`\n✓ Refreshed stats for ${refreshedCount} packages`);
+  console.log(`\n✓ Refreshed stats for ${refreshed} packages`);
   console.log(`✓ Total packages tracked: ${Object.keys(stats).length}`);
-  console.log(`✓ Output: ${outputPath}`);
+  console.log(`✓ Output: ${OUTPUT_PATH}`);
+  
+  if (failed.length > 0) {
+    console.warn(`⚠ Failed to fetch ${failed.length} package(s): ${failed.join(", ")}`);
+    console.warn("  Run again to resume and retry them.");
+    process.exitCode = 1;
+  }
 }
 
 main().catch(err => {
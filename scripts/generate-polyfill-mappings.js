@@ -3,354 +3,180 @@
 /**
  * Generate polyfill mappings for web-features
  * 
- * Discovers polyfills by:
- * 1. Cloning the MDN content repository
- * 2. Looking up MDN docs for each web-feature (via BCD)
- * 3. Parsing markdown "See also" sections for polyfill links
- * 4. Extracting npm package names and GitHub repos
+ * Discovers polyfills from pluggable sources (see scripts/sources/), run
+ * in priority order:
+ * - mdn: polyfill links on the MDN pages of each web-feature
+ * - cssdb: CSS polyfills and PostCSS plugins
+ * - core-js: the exact core-js modules for each JS feature
+ * - es-shims: es-shims packages listed in mappings/es-shims-packages.json
+ * 
+ * Fallbacks from later sources are merged into earlier ones according to
+ * each source's merge policy, then manual overrides are applied. Finally,
+ * URLs are normalized and duplicates (e.g. an npm link and a GitHub link
+ * to the same package) are merged, see lib/canonicalize.js. npm packages
+ * are matched to their repositories with mappings/npm-metadata.json when
+ * it exists (npm run generate-npm-metadata). A summary of what each source
+ * contributed and of the merged duplicates is printed at the end, followed
+ * by overrides that no longer match anything in the generated data.
+ * 
+ * Every fallback records where it came from in a `source` block: the
+ * source name ("overrides" for curated fallbacks), source-specific details
+ * like the MDN slug and section, MDN commit or cssdb feature ID, the
+ * retrieval date, and any later sources that filled in fields.
+ * 
+ * `code_signature` fields are added by generate-code-signatures.js, which
+ * reads the packages themselves. They are kept from the current
+ * polyfills.json for packages that are still mapped; run
+ * generate-code-signatures.js after this script to add signatures for new
+ * packages and refresh the others.
+ * 
+ * Each entry follows the dataset schema described in the README:
+ *   { use_case, breaks_in_unsupported_browsers, status, fallbacks: [...] }
+ * Fallbacks are polyfills, PostCSS plugins or feature-detection "code"
+ * snippets. `use_case` and code fallbacks are curated in
+ * polyfills-overrides.json; `breaks_in_unsupported_browsers` is inferred
+ * from the feature's compat data unless an override sets it. `status` is a
+ * snapshot of the feature's Baseline status in web-features at generation
+ * time, so that changes can be tracked between generations.
  * 
  * Output: mappings/polyfills.json
+ * 
+ * By default, the MDN docs mapping is fetched from GitHub and the MDN
+ * content repository is cloned into mdn-content-temp/. Both can be
+ * pointed at local paths instead, e.g. for builds without network.
+ * 
+ * Usage:
+ *   node generate-polyfill-mappings.js
+ *   node generate-polyfill-mappings.js --mdn-docs-mapping path/to/mdn-docs.json
+ *   node generate-polyfill-mappings.js --mdn-content path/to/mdn/content
+ *   node generate-polyfill-mappings.js --offline --mdn-docs-mapping ... --mdn-content ...
+ *   node generate-polyfill-mappings.js --sources mdn,cssdb      # Only these, in this order
+ *   node generate-polyfill-mappings.js --merge es-shims=fill    # Override a merge policy
+ * 
+ * --offline never touches the network: a local MDN docs mapping is
+ * required, and the MDN content must already exist locally. The other
+ * sources only read installed packages and files in mappings/.
+ * 
+ * This script only reads the input files and writes the output: the
+ * mappings are generated by generateMappings() in lib/mappings.js, which
+ * is also part of the programmatic API (see index.js).
  */
 
-import { features } from "web-features";
-import bcd from "@mdn/browser-compat-data" with { type: "json" };
-import cssdb from "cssdb";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
-import { execSync } from "child_process";
+import { generateMappings } from "./lib/mappings.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const MDN_REPO = "https://github.com/mdn/content.git";
-const MDN_TEMP = path.join(__dirname, "..", "mdn-content-temp");
-const MDN_DOCS_MAPPING_URL = "https://raw.githubusercontent.com/web-platform-dx/web-features-mappings/refs/heads/main/mappings/mdn-docs.json";
 
-// Fetch MDN docs mapping
-async function fetchMDNDocsMapping() {
-  console.log("Fetching MDN docs mapping...");
-  const response = await fetch(MDN_DOCS_MAPPING_URL);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch MDN docs mapping: ${response.status}`);
+// Get the value following a command line flag, e.g. --mdn-content <dir>
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return undefined;
+  
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`Missing value for ${flag}`);
   }
-  const mapping = await response.json();
-  console.log(`✓ Loaded mapping for ${Object.keys(mapping).length} features\n`);
-  return mapping;
+  return value;
 }
 
-// Clone MDN content repo if needed
-async function ensureMDNContent() {
+// Parse command line arguments
+const OFFLINE = process.argv.includes('--offline');
+const MDN_DOCS_MAPPING_PATH = getArgValue('--mdn-docs-mapping');
+const MDN_CONTENT_PATH = getArgValue('--mdn-content');
+const SOURCE_NAMES = getArgValue('--sources')?.split(',');
+const MERGE_POLICIES = Object.fromEntries(
+  (getArgValue('--merge')?.split(',') || []).map(setting => setting.split('='))
+);
+
+// Load manual overrides, if there are any
+async function loadOverrides() {
+  const overridesPath = path.join(__dirname, "../mappings/polyfills-overrides.json");
+  let content;
   try {
-    await fs.access(MDN_TEMP);
-    console.log("Using cached MDN content\n");
-  } catch {
-    console.log("Cloning MDN content repository...");
-    execSync(`git clone --depth 1 ${MDN_REPO} ${MDN_TEMP}`, { stdio: 'inherit' });
-    console.log("✓ Cloned\n");
+    content = await fs.readFile(overridesPath, "utf-8");
+  } catch (error) {
+    return null;
   }
+  return JSON.parse(content);
 }
 
-// Convert MDN slug to file path
-function slugToPath(slug) {
-  return slug
-    .toLowerCase()
-    .replace(/::/g, "_doublecolon_")
-    .replace(/:/g, "_colon_")
-    .replace(/\*/g, "_star_");
-}
-
-// Get MDN slug from BCD for a feature
-function getMDNSlug(featureId) {
-  const feature = features[featureId];
-  if (!feature?.compat_features?.[0]) return null;
-  
-  const bcdKey = feature.compat_features[0];
-  const parts = bcdKey.split(".");
-  
-  let data = bcd;
-  for (const part of parts) {
-    data = data?.[part];
-    if (!data) return null;
+// Load the current mappings, if there are any
+async function loadPreviousMappings(outputPath) {
+  try {
+    return JSON.parse(await fs.readFile(outputPath, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw new Error(`Failed to read ${outputPath}: ${error.message}`);
   }
-  
-  const url = data?.__compat?.mdn_url;
-  if (!url) return null;
-  
-  // Extract slug from URL - handle both formats:
-  // https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver
-  // https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Set/difference
-  return url
-    .replace(/^https:\/\/developer\.mozilla\.org\/(en-US\/)?docs\//, '');
 }
 
-// Parse markdown file for polyfill links in "See also" section
-async function findPolyfills(slug) {
-  const filePath = path.join(MDN_TEMP, "files/en-us", slugToPath(slug), "index.md");
-  
+// Load npm-metadata.json, if it has been generated
+async function loadNpmMetadata() {
+  const metadataPath = path.join(__dirname, "../mappings/npm-metadata.json");
   try {
-    const content = await fs.readFile(filePath, "utf-8");
-    
-    // Find "See also" section
-    const seeAlsoMatch = content.match(/## See also\s*\n([\s\S]*?)(\n## |$)/i);
-    if (!seeAlsoMatch) return [];
-    
-    const seeAlsoSection = seeAlsoMatch[1];
-    
-    // Split into list items (lines starting with - or *)
-    const listItems = seeAlsoSection.split(/\n(?=[-*]\s)/).map(item => item.trim());
-    
-    const links = [];
-    for (const item of listItems) {
-      // Extract all links from this list item
-      const linkMatches = item.match(/\[([^\]]+)\]\((https?:[^\)]+)\)/g);
-      if (!linkMatches) continue;
-      
-      for (const match of linkMatches) {
-        const [, linkText, url] = match.match(/\[([^\]]+)\]\((https?:[^\)]+)\)/);
-        
-        // Skip MDN links
-        if (url.includes('developer.mozilla.org')) continue;
-        
-        // Look for polyfill indicators
-        const isPolyfill = 
-          url.toLowerCase().includes('polyfill') ||
-          item.toLowerCase().includes('polyfill') ||
-          url.includes('npmjs.com/package/');
-        
-        if (isPolyfill) {
-          // Extract full list item text, removing the leading bullet and cleaning up
-          const fullText = item
-            .replace(/^[-*]\s+/, '') // Remove bullet
-            .replace(/\s+/g, ' ')     // Normalize whitespace
-            .replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1') // Replace [text](url) with text
-            .trim();
-          
-          links.push({ url, text: fullText });
-        }
-      }
-    }
-    
-    return links;
+    return JSON.parse(await fs.readFile(metadataPath, "utf-8"));
   } catch (error) {
-    // File doesn't exist or can't be read - skip silently
-    return [];
+    console.warn("⚠ No npm-metadata.json found: npm packages are only matched to repositories listed in the fallbacks\n");
+    return {};
   }
 }
 
-// Extract npm package from URL
-function extractNpmPackage(url) {
-  // Match package name after /package/, handling scoped packages like @scope/package
-  const match = url.match(/npmjs\.com\/package\/(@?[^\/\?#]+(?:\/[^\/\?#]+)?)/);
-  if (match) return match[1];
-  
-  // Special case: FormatJS polyfill links
-  // https://formatjs.github.io/docs/polyfills/intl-locale/ -> @formatjs/intl-locale
-  const formatJsMatch = url.match(/formatjs\.github\.io\/docs\/polyfills\/([\w-]+)/);
-  if (formatJsMatch) {
-    return `@formatjs/${formatJsMatch[1]}`;
+// Print how much each source contributed
+function printSourceStats(stats) {
+  console.log("\nSources:");
+  for (const { source, policy, features, discovered, added, enriched, skipped, seconds } of stats) {
+    console.log(`  ${source} (${policy}): ${discovered} fallback(s) for ${features} feature(s) → ${added} added, ${enriched} enriched, ${skipped} skipped (${seconds.toFixed(1)}s)`);
   }
-  
-  return null;
 }
 
-// Extract repository from URL
-function extractRepository(url) {
-  const match = url.match(/github\.com\/([^\/]+\/[^\/\?#]+)/);
-  return match ? match[1].replace(/\.git$/, '') : null;
-}
-
-// Generate mappings
-async function generateMappings(mdnDocsMapping) {
-  const mappings = {};
-  let processed = 0;
-  let found = 0;
-  
-  for (const featureId in features) {
-    // Try MDN docs mapping first (includes API overview pages)
-    let slugs = [];
-    if (mdnDocsMapping[featureId]) {
-      slugs = mdnDocsMapping[featureId].map(doc => doc.slug);
-    } else {
-      // Fall back to BCD lookup
-      const slug = getMDNSlug(featureId);
-      if (slug) slugs = [slug];
-    }
-    
-    if (slugs.length === 0) continue;
-    
-    processed++;
-    if (processed % 50 === 0) {
-      console.log(`Processed ${processed} features, found ${found} with polyfills...`);
-    }
-    
-    // Check all slugs for this feature
-    const allPolyfillLinks = [];
-    for (const slug of slugs) {
-      const polyfillLinks = await findPolyfills(slug);
-      allPolyfillLinks.push(...polyfillLinks);
-    }
-    
-    if (allPolyfillLinks.length === 0) continue;
-    
-    // Deduplicate by URL
-    const uniqueLinks = Array.from(
-      new Map(allPolyfillLinks.map(link => [link.url, link])).values()
-    );
-    
-    const fallbacks = uniqueLinks.map(link => {
-      const fallback = {
-        type: "polyfill",
-        url: link.url
-      };
-      
-      const npm = extractNpmPackage(link.url);
-      if (npm) fallback.npm = npm;
-      
-      const repository = extractRepository(link.url);
-      if (repository) fallback.repository = repository;
-      
-      if (link.text) fallback.description = link.text;
-      
-      return fallback;
-    });
-    
-    mappings[featureId] = {
-      fallbacks
-    };
-    
-    found++;
-    console.log(`✓ ${featureId}: ${fallbacks.length} polyfill(s)`);
+// Print the duplicates that were merged
+function printMerges(merges) {
+  console.log(`\nMerged ${merges.length} duplicate fallback(s)${merges.length > 0 ? ":" : ""}`);
+  for (const { featureId, kept, dropped, reason } of merges) {
+    console.log(`  ⇄ ${featureId}: ${dropped} → ${kept} (${reason})`);
   }
-  
-  // Sort by feature ID
-  return Object.keys(mappings)
-    .sort()
-    .reduce((sorted, key) => {
-      sorted[key] = mappings[key];
-      return sorted;
-    }, {});
 }
 
-// Generate CSS polyfill mappings from cssdb
-function generateCSSDBMappings() {
-  const mappings = {};
-  let mapped = 0;
-  
-  console.log("Discovering polyfills from cssdb...\n");
+// Print overrides that no longer match the generated data
+function printStaleOverrides(stale) {
+  if (stale.length === 0) return;
   
-  for (const cssFeature of cssdb) {
-    const { id, title, polyfills } = cssFeature;
-    
-    // Skip if no polyfills
-    if (!polyfills || polyfills.length === 0) {
-      continue;
-    }
-    
-    // Check if cssdb feature has a web-feature mapping
-    const webFeatureId = cssFeature['web-feature'];
-    
-    if (webFeatureId && features[webFeatureId]) {
-      const fallbacks = polyfills.map(polyfill => ({
-        type: polyfill.type === 'PostCSS Plugin' ? 'postcss-plugin' : 'polyfill',
-        url: polyfill.link,
-        description: `${polyfill.type} for ${title}`
-      }));
-      
-      // Try to extract npm/repository from URL
-      fallbacks.forEach(fallback => {
-        const npmMatch = fallback.url.match(/npmjs\.com\/package\/(@?[^\/\?#]+(?:\/[^\/\?#]+)?)/);
-        if (npmMatch) {
-          fallback.npm = npmMatch[1];
-        }
-        
-        const repositoryMatch = fallback.url.match(/github\.com\/([^\/]+\/[^\/\?#]+)/);
-        if (repositoryMatch) {
-          fallback.repository = repositoryMatch[1].replace(/\.git$/, '');
-        }
-      });
-      
-      mappings[webFeatureId] = {
-        fallbacks
-      };
-      
-      mapped++;
-      console.log(`✓ ${webFeatureId}: ${fallbacks.length} CSS polyfill(s)`);
-    }
+  console.warn(`\n⚠ ${stale.length} stale override(s) in polyfills-overrides.json:`);
+  for (const message of stale) {
+    console.warn(`  ⚠ ${message}`);
   }
-  
-  console.log(`✓ Mapped ${mapped} CSS features from cssdb`);
-  
-  return mappings;
 }
 
 // Main
 async function main() {
-  const mdnDocsMapping = await fetchMDNDocsMapping();
-  await ensureMDNContent();
-  
-  console.log("Discovering polyfills from MDN documentation...\n");
-  const mappings = await generateMappings(mdnDocsMapping);
-  
-  // Merge in cssdb polyfills
-  const cssdbMappings = generateCSSDBMappings();
-  for (const [featureId, cssdbData] of Object.entries(cssdbMappings)) {
-    if (mappings[featureId]) {
-      // Append cssdb fallbacks to existing MDN fallbacks
-      mappings[featureId].fallbacks = [
-        ...mappings[featureId].fallbacks,
-        ...cssdbData.fallbacks
-      ];
-      console.log(`  + Merged cssdb into ${featureId}`);
-    } else {
-      // No MDN data, just use cssdb data
-      mappings[featureId] = cssdbData;
-    }
-  }
-  
-  // Load and merge manual overrides
-  const overridesPath = path.join(__dirname, "../mappings/polyfills-overrides.json");
-  let overrides = {};
-  try {
-    const overridesContent = await fs.readFile(overridesPath, "utf-8");
-    const parsed = JSON.parse(overridesContent);
-    // Filter out metadata keys starting with _
-    overrides = Object.fromEntries(
-      Object.entries(parsed).filter(([key]) => !key.startsWith("_"))
-    );
-    console.log(`\n✓ Loaded ${Object.keys(overrides).length} manual overrides`);
-  } catch (error) {
-    console.log("\n✓ No manual overrides found (this is fine)");
-  }
-  
-  // Merge overrides into mappings
-  for (const [featureId, override] of Object.entries(overrides)) {
-    if (override.exclude) {
-      delete mappings[featureId];
-      console.log(`  - Excluded: ${featureId}`);
-    } else if (override.fallbacks !== undefined) {
-      if (override.replace) {
-        // Replace mode: completely override auto-generated data
-        mappings[featureId] = { fallbacks: override.fallbacks };
-        console.log(`  ↻ Replaced: ${featureId} (${override.fallbacks.length} fallback(s))`);
-      } else {
-        // Augment mode (default): append to existing fallbacks
-        if (mappings[featureId]) {
-          mappings[featureId].fallbacks = [
-            ...mappings[featureId].fallbacks,
-            ...override.fallbacks
-          ];
-          console.log(`  + Augmented: ${featureId} (added ${override.fallbacks.length} fallback(s))`);
-        } else {
-          // No existing entry, create new one
-          mappings[featureId] = { fallbacks: override.fallbacks };
-          console.log(`  + Added: ${featureId}`);
-        }
-      }
-    }
+  const npmMetadata = await loadNpmMetadata();
+  const overrides = await loadOverrides();
+  if (!overrides) {
+    console.log("✓ No manual overrides found (this is fine)\n");
   }
   
   const outputPath = path.join(__dirname, "../mappings/polyfills.json");
+  const previous = await loadPreviousMappings(outputPath);
+  
+  const { mappings, stats, merges, stale } = await generateMappings({
+    sources: SOURCE_NAMES,
+    merge: MERGE_POLICIES,
+    offline: OFFLINE,
+    mdnDocsMappingPath: MDN_DOCS_MAPPING_PATH,
+    mdnContentPath: MDN_CONTENT_PATH,
+    overrides: overrides || {},
+    npmMetadata,
+    previous,
+  });
+  
   await fs.mkdir(path.dirname(outputPath), { recursive: true });
-  await fs.writeFile(outputPath, JSON.stringify(mappings, null, 2));
+  await fs.writeFile(outputPath, JSON.stringify(mappings, null, 2) + "\n");
+  
+  printSourceStats(stats);
+  printMerges(merges);
+  printStaleOverrides(stale);
   
   console.log(`\n✓ Generated ${Object.keys(mappings).length} mappings`);
   console.log(`✓ Output: ${outputPath}`);
@@ -359,4 +185,4 @@ async function main() {
 main().catch(err => {
   console.error("Error:", err);
   process.exit(1);
-});
+});
\ No newline at end of file
@@ -0,0 +1,422 @@
+/**
+ * Bundler plugins that catch polyfills the browser targets don't need
+ *
+ * Checks every import of an npm package (or core-js module) mapped in
+ * polyfills.json against the browser targets, using the verdicts of
+ * polyfill-needs.js. Polyfills for features that every target supports
+ * are either reported (mode "warn", the default) or replaced with an empty
+ * module (mode "remove"), and the bytes they cost are summed up.
+ *
+ * Only side-effect-only imports (`import "intersection-observer"`,
+ * `require("core-js/actual/array/at");`) are removed. Polyfills that are
+ * imported with bindings are left in place and reported, since the code
+ * that uses them needs changing too. Rollup only sees `require()` calls
+ * that a plugin like @rollup/plugin-commonjs turns into imports.
+ *
+ * Polyfill imports that don't resolve can't be measured or removed, so
+ * the Rollup plugin warns about them (webpack fails the build on its own).
+ *
+ * Sizes are those of the modules the polyfill brings in that nothing else
+ * imports, before minification. Polyfills webpack removes never join the
+ * module graph, so only the size of their own module is counted.
+ *
+ * Options:
+ * - targets: browserslist query (default: the project's browserslist
+ *   config, or browserslist's defaults)
+ * - mode: "warn" or "remove"
+ * - ignore: packages or import paths to leave alone
+ * - report: path to write a JSON report to
+ * - mappings: polyfills.json contents (default: mappings/polyfills.json)
+ * - root: project directory (default: the current directory, or
+ *   webpack's context)
+ * - log: console-like object for the summary
+ *
+ * Usage:
+ *   // rollup.config.js, vite.config.js
+ *   import { polyfillsRollupPlugin } from "./index.js";
+ *   export default { plugins: [polyfillsRollupPlugin({ targets: "defaults", mode: "remove" })] };
+ *
+ *   // webpack.config.js
+ *   import { PolyfillsWebpackPlugin } from "./index.js";
+ *   export default { plugins: [new PolyfillsWebpackPlugin({ report: "polyfills-report.json" })] };
+ */
+
+import browserslist from "browserslist";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getPolyfillVerdicts } from "./polyfill-needs.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PLUGIN_NAME = "web-features-polyfills";
+const EMPTY_MODULE = path.join(__dirname, "empty-module.js");
+const MODES = ["warn", "remove"];
+
+// Load polyfill mappings
+async function loadPolyfillMappings() {
+  const mappingsPath = path.join(__dirname, "../../mappings/polyfills.json");
+  const content = await fs.readFile(mappingsPath, "utf-8");
+  return JSON.parse(content);
+}
+
+// Get the package name of an import specifier, e.g. "@scope/pkg/auto" -> "@scope/pkg"
+function getPackageName(specifier) {
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+// Map any core-js entry point to the core-js/actual/ path the mappings use,
+// e.g. core-js/stable/array/at.js -> core-js/actual/array/at
+function normalizeCoreJSPath(specifier) {
+  const match = specifier.match(/^core-js(?:-pure)?\/(?:actual|stable|es|full|features)\/(.+?)(?:\/index)?(?:\.js)?$/);
+  return match ? `core-js/actual/${match[1]}` : null;
+}
+
+// Index the features polyfilled by each npm package and core-js module
+function indexPolyfills(polyfillMappings) {
+  const index = { packages: new Map(), modules: new Map() };
+  const add = (map, key, featureId) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(featureId);
+  };
+
+  for (const [featureId, { fallbacks }] of Object.entries(polyfillMappings)) {
+    for (const fallback of fallbacks) {
+      if (fallback.type === "code" || !fallback.npm) continue;
+      add(index.packages, fallback.npm, featureId);
+      for (const module of fallback.modules || []) {
+        add(index.modules, module, featureId);
+      }
+    }
+  }
+
+  return index;
+}
+
+// Create a checker that tells which imports polyfill features all the
+// browser targets support
+async function createPolyfillChecker({ mappings, targets, root, ignore = [] }) {
+  const polyfillMappings = mappings || await loadPolyfillMappings();
+  const query = targets || browserslist.loadConfig({ path: root }) || browserslist.defaults;
+  const { verdicts, unknown } = getPolyfillVerdicts(polyfillMappings, query);
+  const { packages, modules } = indexPolyfills(polyfillMappings);
+
+  return {
+    query: [].concat(query).join(", "),
+    unknown,
+
+    // Get { package, features } if an import specifier is an unneeded polyfill
+    check(specifier) {
+      if (!/^(@[\w.-]+\/)?[\w.-]/.test(specifier)) return null; // Relative, absolute and virtual modules
+      const packageName = getPackageName(specifier);
+      if (ignore.includes(specifier) || ignore.includes(packageName)) return null;
+
+      const coreJSPath = normalizeCoreJSPath(specifier);
+      const featureIds = [...(coreJSPath && modules.get(coreJSPath)) || packages.get(packageName) || []];
+      if (featureIds.length === 0) return null;
+      if (!featureIds.every(featureId => verdicts[featureId].verdict === "not-needed")) return null;
+
+      return { package: packageName, features: featureIds };
+    },
+  };
+}
+
+// Visit every node of an ESTree AST, with its parent
+function walk(node, visit, parent = null) {
+  visit(node, parent);
+  for (const value of Object.values(node)) {
+    for (const child of [].concat(value)) {
+      if (child && typeof child.type === "string") walk(child, visit, node);
+    }
+  }
+}
+
+// Get the specifiers a module only imports for their side effects: with
+// `import "x"` or a `require("x");` statement, and never with bindings
+function getSideEffectOnlyImports(ast) {
+  const found = new Set();
+  const bound = new Set();
+
+  walk(ast, (node, parent) => {
+    if (/^(Import|ExportNamed|ExportAll)Declaration$/.test(node.type) && node.source) {
+      found.add(node.source.value);
+      if (node.type !== "ImportDeclaration" || node.specifiers.length > 0) bound.add(node.source.value);
+    } else if (node.type === "ImportExpression") {
+      bound.add(node.source.value);
+    } else if (node.type === "CallExpression" && node.callee.name === "require" && node.arguments.length > 0) {
+      found.add(node.arguments[0].value);
+      if (parent?.type !== "ExpressionStatement") bound.add(node.arguments[0].value);
+    }
+  });
+
+  return new Set([...found].filter(specifier => !bound.has(specifier)));
+}
+
+// Sum the size of a module and of the modules only it (directly or
+// indirectly) imports: what leaving it out of the bundle saves
+function getExclusiveSize(root, { getImports, getImporters, getSize }) {
+  const owned = new Set([root]);
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (const module of owned) {
+      for (const dependency of getImports(module)) {
+        if (owned.has(dependency)) continue;
+        if (getImporters(dependency).every(importer => owned.has(importer))) {
+          owned.add(dependency);
+          changed = true;
+        }
+      }
+    }
+  }
+
+  return [...owned].reduce((total, module) => total + getSize(module), 0);
+}
+
+// Format a size in bytes
+function formatBytes(bytes) {
+  return bytes === null ? "size unknown" : `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+// Collects the unneeded polyfills a build imports, and summarizes them
+function createReport(checker, { mode, root }) {
+  const hits = new Map();
+
+  return {
+    // Record an import of an unneeded polyfill
+    add(specifier, hit, importer, removed) {
+      if (!hits.has(specifier)) {
+        hits.set(specifier, { specifier, ...hit, importers: new Map(), bytes: null });
+      }
+      hits.get(specifier).importers.set(path.relative(root, importer), removed);
+      return hits.get(specifier);
+    },
+
+    hits,
+
+    // Build the JSON report
+    toJSON() {
+      const polyfills = [...hits.values()].map(({ importers, bytes, ...hit }) => ({
+        ...hit,
+        importers: [...importers.keys()].sort(),
+        removed: [...importers.values()].every(Boolean),
+        bytes,
+      })).sort((a, b) => a.specifier.localeCompare(b.specifier));
+      const sized = polyfills.filter(polyfill => polyfill.bytes !== null && (mode === "warn" || polyfill.removed));
+      return {
+        targets: checker.query,
+        mode,
+        polyfills,
+        bytes: sized.length > 0 ? sized.reduce((total, polyfill) => total + polyfill.bytes, 0) : null,
+      };
+    },
+
+    // Format a human-readable summary, or null if there's nothing to report
+    format() {
+      const { polyfills, bytes } = this.toJSON();
+      if (polyfills.length === 0) return null;
+
+      const line = polyfill =>
+        `  • ${polyfill.specifier} (${polyfill.features.join(", ")}): ${formatBytes(polyfill.bytes)}, imported by ${polyfill.importers.join(", ")}`;
+      const removed = polyfills.filter(polyfill => mode === "remove" && polyfill.removed);
+      const kept = polyfills.filter(polyfill => !removed.includes(polyfill));
+      const size = bytes === null ? "" : `~${formatBytes(bytes)}`;
+      const lines = [];
+
+      if (removed.length > 0) {
+        lines.push(`✓ Removed ${removed.length} polyfill(s) not needed for your targets (${checker.query})${size && `, saving ${size}`}:`);
+        lines.push(...removed.map(line));
+      }
+      if (kept.length > 0) {
+        lines.push(mode === "remove"
+          ? `⚠ ${kept.length} polyfill(s) not needed for your targets aren't imported for their side effects only, remove them in the source:`
+          : `⚠ ${kept.length} polyfill(s) not needed for your targets (${checker.query})${size && `, ${size}`}:`);
+        lines.push(...kept.map(line));
+      }
+      if (checker.unknown.length > 0) {
+        lines.push(`  ⚠ No compat data for: ${checker.unknown.join(", ")}`);
+      }
+
+      return lines.join("\n");
+    },
+  };
+}
+
+// Check plugin options
+function getMode({ mode = "warn" }) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown mode "${mode}". Use one of: ${MODES.join(", ")}`);
+  }
+  return mode;
+}
+
+// Write the JSON report, if asked for
+async function writeReport(report, { report: reportPath }, root) {
+  if (!reportPath) return;
+  await fs.writeFile(path.resolve(root, reportPath), JSON.stringify(report.toJSON(), null, 2) + "\n");
+}
+
+// Rollup plugin, also used by Vite for builds
+export function polyfillsRollupPlugin(options = {}) {
+  const mode = getMode(options);
+  const root = path.resolve(options.root || ".");
+  const log = options.log || console;
+  let checker;
+  let report;
+  let ids;
+  let codes;
+
+  // Load a module and everything it imports, to measure what removing it saves
+  async function loadModuleTree(context, id, seen = new Set()) {
+    if (seen.has(id)) return;
+    seen.add(id);
+    const info = await context.load({ id, resolveDependencies: true });
+    await Promise.all(info.importedIds.map(dependency => loadModuleTree(context, dependency, seen)));
+  }
+
+  return {
+    name: PLUGIN_NAME,
+    apply: "build",
+    enforce: "pre", // Before Vite resolves bare imports
+
+    async buildStart() {
+      checker ||= await createPolyfillChecker({ ...options, root });
+      report = createReport(checker, { mode, root });
+      ids = new Map();
+      codes = new Map();
+    },
+
+    // Keep the final code of each module, to see how it imports polyfills
+    // (Rolldown doesn't keep ASTs around for getModuleInfo())
+    transform: {
+      order: "post",
+      handler(code, id) {
+        if (mode === "remove") codes.set(id, code);
+        return null;
+      },
+    },
+
+    async resolveId(source, importer, resolveOptions) {
+      if (!importer) return null;
+      const hit = checker.check(source);
+      if (!hit) return null;
+
+      const resolved = await this.resolve(source, importer, { ...resolveOptions, skipSelf: true });
+      if (!resolved) {
+        this.warn(`"${source}" polyfills ${hit.features.join(", ")}, not needed for your targets, but can't be resolved from ${path.relative(root, importer)}`);
+        return null;
+      }
+      if (resolved.external) return resolved;
+
+      const code = mode === "remove" && codes.get(importer);
+      const removed = Boolean(code) && getSideEffectOnlyImports(this.parse(code)).has(source);
+      report.add(source, hit, importer, removed);
+      ids.set(source, resolved.id);
+
+      if (!removed) return resolved;
+      await loadModuleTree(this, resolved.id);
+      return EMPTY_MODULE;
+    },
+
+    async buildEnd(error) {
+      if (error) return;
+
+      const graph = {
+        getImports: id => this.getModuleInfo(id)?.importedIds || [],
+        getImporters: id => this.getModuleInfo(id)?.importers || [],
+        getSize: id => this.getModuleInfo(id)?.code?.length || 0,
+      };
+      for (const [specifier, id] of ids) {
+        report.hits.get(specifier).bytes = getExclusiveSize(id, graph);
+      }
+
+      const summary = report.format();
+      if (summary && mode === "warn") this.warn(summary);
+      else if (summary) log.log(summary);
+      await writeReport(report, options, root);
+    },
+  };
+}
+
+// webpack plugin
+export class PolyfillsWebpackPlugin {
+  constructor(options = {}) {
+    this.options = options;
+    this.mode = getMode(options);
+  }
+
+  apply(compiler) {
+    const { options, mode } = this;
+    const root = path.resolve(options.root || compiler.context);
+    const log = options.log || console;
+    let checker;
+    let report;
+
+    compiler.hooks.beforeCompile.tapPromise(PLUGIN_NAME, async () => {
+      checker ||= await createPolyfillChecker({ ...options, root });
+    });
+
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation, { normalModuleFactory }) => {
+      report = createReport(checker, { mode, root });
+      const resources = new Map();
+      const removedResources = new Map();
+      const sideEffectOnlyImports = new Map();
+
+      // See how each module imports its dependencies, before they're resolved
+      if (mode === "remove") {
+        for (const type of ["javascript/auto", "javascript/dynamic", "javascript/esm"]) {
+          normalModuleFactory.hooks.parser.for(type).tap(PLUGIN_NAME, parser => {
+            parser.hooks.program.tap(PLUGIN_NAME, ast => {
+              sideEffectOnlyImports.set(parser.state.module.nameForCondition(), getSideEffectOnlyImports(ast));
+            });
+          });
+        }
+      }
+
+      normalModuleFactory.hooks.afterResolve.tap(PLUGIN_NAME, resolveData => {
+        const hit = checker.check(resolveData.request);
+        const importer = resolveData.contextInfo.issuer;
+        if (!hit || !importer) return;
+
+        const removed = mode === "remove" && Boolean(sideEffectOnlyImports.get(importer)?.has(resolveData.request));
+        report.add(resolveData.request, hit, importer, removed);
+
+        if (removed) {
+          removedResources.set(resolveData.request, resolveData.createData.resourceResolveData?.path || resolveData.createData.resource);
+          resolveData.createData.resource = EMPTY_MODULE;
+        } else {
+          resources.set(resolveData.createData.resource, resolveData.request);
+        }
+      });
+
+      // Measure the polyfills left in the build, and the ones removed from it
+      compilation.hooks.finishModules.tapPromise(PLUGIN_NAME, async modules => {
+        const { moduleGraph } = compilation;
+        const graph = {
+          getImports: module => [...moduleGraph.getOutgoingConnections(module)].map(connection => connection.module).filter(Boolean),
+          getImporters: module => [...moduleGraph.getIncomingConnections(module)].map(connection => connection.originModule),
+          getSize: module => module.size(),
+        };
+
+        for (const module of modules) {
+          const specifier = resources.get(module.resource);
+          if (specifier) report.hits.get(specifier).bytes = getExclusiveSize(module, graph);
+        }
+        for (const [specifier, resource] of removedResources) {
+          const hit = report.hits.get(specifier);
+          hit.bytes ??= (await fs.readFile(resource, "utf-8")).length;
+        }
+
+        const summary = report.format();
+        if (summary && mode === "warn") compilation.warnings.push(new compiler.webpack.WebpackError(summary));
+      });
+    });
+
+    compiler.hooks.done.tapPromise(PLUGIN_NAME, async () => {
+      const summary = report.format();
+      if (summary && mode === "remove") log.log(summary);
+      await writeReport(report, options, root);
+    });
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Canonicalize and deduplicate fallbacks
+ *
+ * The same polyfill is often linked in different ways: an npm page, its
+ * GitHub repository, a README anchor, with or without a trailing slash.
+ * Each fallback is reduced to a set of identity keys, and two fallbacks of
+ * the same type are the same polyfill when any key is shared:
+ * - its URL, normalized with getUrlKey()
+ * - its npm package
+ * - the repository its URL points into (with the directory for links into
+ *   a monorepo, so that plugins of csstools/postcss-plugins stay apart)
+ * - the repository its npm package is published from, according to the
+ *   package index (built from npm-metadata.json), or else the fallback's
+ *   own `repository` field
+ *
+ * Duplicates are merged into the first one, which comes from the source
+ * with the highest priority: fields it lacks are filled in, `modules` are
+ * combined and the richest description is kept.
+ *
+ * URLs compare without their anchor, so links to two sections of the same
+ * README (core-js#ecmascript-array and core-js#ecmascript-typed-arrays)
+ * are merged too.
+ */
+
+import { extractRepositoryPath, getUrlKey, normalizeUrl } from "./urls.js";
+
+// Build a package index, npm package -> "owner/repo[/directory]", from
+// npm-metadata.json contents
+export function createPackageIndex(metadata = {}) {
+  const index = new Map();
+  for (const [name, { repository, directory }] of Object.entries(metadata)) {
+    if (repository) index.set(name, formatRepositoryKey(repository, directory));
+  }
+  return index;
+}
+
+// Format a repository (and monorepo directory) for comparison
+function formatRepositoryKey(repository, directory) {
+  return (directory ? `${repository}/${directory}` : repository).toLowerCase();
+}
+
+// Get the identity keys of a fallback, as [kind, value] pairs
+function getIdentityKeys(fallback, packageIndex) {
+  const keys = [];
+  if (fallback.code) keys.push(["code", fallback.code]);
+  if (fallback.url) keys.push(["url", getUrlKey(fallback.url)]);
+  if (fallback.npm) keys.push(["npm", fallback.npm]);
+
+  const repositoryPath = fallback.url && extractRepositoryPath(fallback.url);
+  if (repositoryPath) {
+    keys.push(["repository", formatRepositoryKey(repositoryPath.repository, repositoryPath.directory)]);
+  }
+  if (fallback.npm && packageIndex.has(fallback.npm)) {
+    keys.push(["repository", packageIndex.get(fallback.npm)]);
+  } else if (fallback.npm && fallback.repository) {
+    keys.push(["repository", fallback.repository.toLowerCase()]);
+  }
+
+  return keys.map(([kind, value]) => `${fallback.type}:${kind}:${value}`);
+}
+
+// Whether a duplicate's description is richer than the kept one's: any
+// description beats none or a bare URL, and one that extends the other
+// (e.g. with a note on usage) beats the shorter one. Otherwise the
+// description of the source with the higher priority is kept.
+function isRicherDescription(duplicate, kept) {
+  const description = duplicate.description?.trim();
+  const keptDescription = kept.description?.trim();
+  if (!description || description === duplicate.url) return false;
+  if (!keptDescription || keptDescription === kept.url) return true;
+  return description.length > keptDescription.length && description.includes(keptDescription);
+}
+
+// Merge a duplicate into the fallback it duplicates, returning whether
+// anything changed
+function mergeFallback(kept, duplicate) {
+  let changed = false;
+
+  for (const [key, value] of Object.entries(duplicate)) {
+    if (key === "source" || key === "description" || kept[key] !== undefined) continue;
+    kept[key] = value;
+    changed = true;
+  }
+
+  if (kept.modules && duplicate.modules) {
+    const modules = duplicate.modules.filter(module => !kept.modules.includes(module));
+    if (modules.length > 0) {
+      kept.modules = [...kept.modules, ...modules];
+      changed = true;
+    }
+  }
+
+  if (isRicherDescription(duplicate, kept)) {
+    kept.description = duplicate.description;
+    changed = true;
+  }
+
+  const sourceName = duplicate.source?.name;
+  if (changed && kept.source && sourceName && sourceName !== kept.source.name) {
+    const enrichedBy = kept.source.enriched_by || [];
+    if (!enrichedBy.includes(sourceName)) kept.source.enriched_by = [...enrichedBy, sourceName];
+  }
+
+  return changed;
+}
+
+// Whether two fallbacks are the same polyfill
+export function isSameFallback(a, b, packageIndex = new Map()) {
+  const keys = new Set(getIdentityKeys(a, packageIndex));
+  return getIdentityKeys(b, packageIndex).some(key => keys.has(key));
+}
+
+// Whether a fallback matches an override's { url, npm } matcher. URLs
+// compare like getUrlKey() does, so a matcher keeps working when an
+// anchor or trailing slash changes.
+export function matchesFallback(match, fallback) {
+  if (match.url && (!fallback.url || getUrlKey(match.url) !== getUrlKey(fallback.url))) return false;
+  if (match.npm && match.npm !== fallback.npm) return false;
+  return Boolean(match.url || match.npm);
+}
+
+// Normalize the URLs of a feature's fallbacks and merge duplicates.
+// Returns { fallbacks, merges: [{ kept, dropped, reason, sources }] },
+// with the URLs and source names of the fallbacks that were merged.
+export function canonicalizeFallbacks(fallbacks, packageIndex = new Map()) {
+  const kept = [];
+  const merges = [];
+
+  for (const original of fallbacks) {
+    const fallback = original.url ? { ...original, url: normalizeUrl(original.url) } : { ...original };
+    const keys = getIdentityKeys(fallback, packageIndex);
+    const match = kept.find(candidate => keys.some(key => candidate.keys.has(key)));
+
+    if (!match) {
+      kept.push({ fallback, keys: new Set(keys) });
+      continue;
+    }
+
+    const shared = keys.find(key => match.keys.has(key)).split(":")[1];
+    mergeFallback(match.fallback, fallback);
+    // The merged fallback is now also known by the duplicate's keys
+    keys.forEach(key => match.keys.add(key));
+    merges.push({
+      kept: match.fallback.url || match.fallback.description,
+      dropped: fallback.url || fallback.description,
+      reason: { code: "same code", url: "same page", npm: "same npm package", repository: "same repository" }[shared],
+      sources: [match.fallback.source?.name, fallback.source?.name],
+    });
+  }
+
+  return { fallbacks: kept.map(({ fallback }) => fallback), merges };
+}
@@ -0,0 +1 @@
+// Stands in for polyfills removed by the bundler plugins (see bundler-plugin.js)
@@ -0,0 +1,1675 @@
+/**
+ * Polyfill explorer page
+ *
+ * Renders polyfill mappings as a single self-contained HTML page: a card
+ * per feature, sorted by Baseline availability date, with each fallback's
+ * npm downloads, package health and source. Search, filters and sorting
+ * run client-side, from data attributes on each card (Baseline status and
+ * dates, top npm downloads, fallback types, search text), and the view
+ * state is kept in the URL.
+ *
+ * Nothing is read from disk: mappings, npm stats and metadata are passed
+ * in, as is web-features data (defaulting to the installed version).
+ */
+
+import { features as webFeatures, groups as webGroups } from "web-features";
+import defaultBcd from "@mdn/browser-compat-data" with { type: "json" };
+
+const ABANDONED_AFTER_YEARS = 3; // Packages without a release for this long are flagged
+const COMPAT_BROWSERS = ["chrome", "chrome_android", "edge", "firefox", "firefox_android", "safari", "safari_ios"]; // Baseline's core browsers
+const BASELINE_LABELS = { widely: "Widely available", newly: "Newly available", limited: "Limited availability" };
+const SOURCE_NAMES = {
+  mdn: "MDN",
+  cssdb: "cssdb",
+  "core-js": "core-js",
+  "es-shims": "es-shims",
+  overrides: "polyfills-overrides.json",
+};
+
+// Get baseline status badge
+function getBaselineBadge(feature) {
+  if (!feature.status || feature.status.baseline === undefined) {
+    throw new Error(`Feature ${feature.name} has no baseline status`);
+  }
+  
+  if (feature.status.baseline === "high") {
+    return { 
+      class: "badge-widely", 
+      text: "Widely Available",
+      icon: "img/baseline-widely-icon.png"
+    };
+  }
+  if (feature.status.baseline === "low") {
+    return { 
+      class: "badge-newly", 
+      text: "Newly Available",
+      icon: "img/baseline-newly-icon.png"
+    };
+  }
+  if (feature.status.baseline === false) {
+    return { 
+      class: "badge-limited", 
+      text: "Limited Availability",
+      icon: "img/baseline-limited-icon.png"
+    };
+  }
+  
+  throw new Error(`Unknown baseline status: ${feature.status.baseline}`);
+}
+
+// Get a feature's Baseline status as "widely", "newly" or "limited"
+function getBaselineKey(feature) {
+  return getBaselineBadge(feature).class.replace("badge-", "");
+}
+
+// Get "is this polyfill still needed?" badge for the browser targets
+function getVerdictBadge(verdict) {
+  if (verdict.verdict === "not-needed") {
+    return { class: "verdict-not-needed", text: "Not needed for your targets" };
+  }
+  if (verdict.verdict === "needed") {
+    return { class: "verdict-needed", text: "Needed for your targets" };
+  }
+  if (verdict.verdict === "partially-needed") {
+    const targets = verdict.unsupported.map(({ target }) => target);
+    return { class: "verdict-partial", text: `Needed for ${targets.join(", ")}` };
+  }
+  return null;
+}
+
+// Format a Baseline date, keeping the "≤" of dates that are upper bounds
+function formatBaselineDate(date) {
+  if (!date) {
+    return null;
+  }
+  
+  const formatted = new Date(date.replace("≤", "")).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+  return date.startsWith("≤") ? `≤ ${formatted}` : formatted;
+}
+
+// Get sort date (for ordering features): when they became widely
+// available, or else newly available. The client script sorts the same way.
+function getSortDate(feature) {
+  const date = feature.status?.baseline_high_date || 
+               feature.status?.baseline_low_date || 
+               "9999-12-31"; // Future date for features without baseline
+  return date.replace("≤", "");
+}
+
+// Escape HTML
+function escapeHtml(text) {
+  if (!text) return "";
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+// Generate an inline SVG sparkline and trend for weekly download history
+function generateTrendHtml(history) {
+  if (!history || history.length < 2) return "";
+  
+  const width = 80;
+  const height = 20;
+  const values = history.map(week => week.downloads);
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const range = max - min || 1;
+  const points = values
+    .map((value, i) => {
+      const x = (i / (values.length - 1)) * width;
+      const y = height - 1 - ((value - min) / range) * (height - 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+  
+  // Compare the average of the first and last four weeks to smooth out noise
+  const sample = Math.min(4, Math.floor(values.length / 2));
+  const average = list => list.reduce((sum, value) => sum + value, 0) / list.length;
+  const before = average(values.slice(0, sample));
+  const after = average(values.slice(-sample));
+  const change = before > 0 ? Math.round(((after - before) / before) * 100) : 0;
+  const direction = change > 0 ? "up" : change < 0 ? "down" : "flat";
+  const arrow = { up: "↑", down: "↓", flat: "→" }[direction];
+  
+  const title = `Weekly downloads from ${history[0].start} to ${history[history.length - 1].end}`;
+  return `<span class="trend trend-${direction}" title="${escapeHtml(title)}"><svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true"><polyline points="${points}" /></svg> ${arrow} ${Math.abs(change)}% over ${history.length} weeks</span>`;
+}
+
+// Format a byte count
+function formatBytes(bytes) {
+  return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} kB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Generate package metadata details and warnings for deprecated or abandoned packages
+function generatePackageHealthHtml(metadata) {
+  const details = [];
+  const warnings = [];
+  if (!metadata?.version) return { details, warnings };
+  
+  if (metadata.deprecated) {
+    warnings.push(`Deprecated: ${escapeHtml(metadata.deprecated)}`);
+  }
+  
+  if (metadata.lastPublish) {
+    const lastPublish = new Date(metadata.lastPublish);
+    const years = (Date.now() - lastPublish) / (365.25 * 24 * 60 * 60 * 1000);
+    const date = lastPublish.toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric", timeZone: "UTC" });
+    details.push(`v${escapeHtml(metadata.version)} published ${date}`);
+    if (years >= ABANDONED_AFTER_YEARS) {
+      warnings.push(`No release in ${Math.floor(years)} years, possibly abandoned`);
+    }
+  }
+  
+  if (typeof metadata.unpackedSize === "number") {
+    const installSize = metadata.installSize > metadata.unpackedSize ? ` (${formatBytes(metadata.installSize)} installed)` : "";
+    details.push(`${formatBytes(metadata.unpackedSize)} unpacked${installSize}`);
+  }
+  details.push(`${metadata.dependencies} ${metadata.dependencies === 1 ? "dependency" : "dependencies"}`);
+  if (metadata.license) {
+    details.push(`License: ${escapeHtml(metadata.license)}`);
+  }
+  if (metadata.maintainers !== null && metadata.maintainers !== undefined) {
+    details.push(`${metadata.maintainers} ${metadata.maintainers === 1 ? "maintainer" : "maintainers"}`);
+  }
+  
+  return { details, warnings };
+}
+
+// Generate the "Source:" line of a fallback from its source block
+function generateSourceHtml(source) {
+  if (!source) return "";
+  
+  let label = SOURCE_NAMES[source.name] || escapeHtml(source.name);
+  if (source.name === "mdn" && source.slug) {
+    const where = source.section ? `${source.slug} › ${source.section}` : source.slug;
+    label = `<a href="https://developer.mozilla.org/en-US/docs/${escapeHtml(source.slug)}" target="_blank" rel="noopener noreferrer">${label}</a> (${escapeHtml(where)})`;
+  } else if (source.name === "cssdb" && source.id) {
+    label = `<a href="https://cssdb.org/#${escapeHtml(source.id)}" target="_blank" rel="noopener noreferrer">${label}</a> (${escapeHtml(source.id)})`;
+  } else if (source.version) {
+    label += ` ${escapeHtml(source.version)}`;
+  }
+  
+  const title = [
+    source.retrieved && `Retrieved ${source.retrieved}`,
+    source.commit && `MDN content commit ${source.commit.slice(0, 7)}`,
+  ].filter(Boolean).join(", ");
+  const enriched = source.enriched_by ? `, enriched by ${source.enriched_by.map(name => SOURCE_NAMES[name] || escapeHtml(name)).join(", ")}` : "";
+  
+  return `<div class="polyfill-source"${title ? ` title="${escapeHtml(title)}"` : ""}>Source: ${label}${enriched}</div>`;
+}
+
+// Generate feature-detection code fallback HTML
+function generateCodeFallbackHtml(fallback) {
+  return `
+          <li class="polyfill-item polyfill-item-code">
+            <div class="polyfill-header">
+              <span class="polyfill-text">${escapeHtml(fallback.description || "Fallback code")}</span>
+              <span class="polyfill-badge badge-code" title="Feature-detection fallback code">Code</span>
+            </div>
+            <pre class="fallback-code"><code>${escapeHtml(fallback.code)}</code></pre>
+            ${generateSourceHtml(fallback.source)}
+          </li>
+        `;
+}
+
+// Generate polyfill item HTML
+function generatePolyfillHtml(polyfill, npmStats, npmMetadata) {
+  if (polyfill.type === 'code') {
+    return generateCodeFallbackHtml(polyfill);
+  }
+  
+  const badges = [];
+  
+  // Add type badge
+  if (polyfill.type === 'postcss-plugin') {
+    badges.push(`<span class="polyfill-badge badge-postcss" title="PostCSS Plugin">PostCSS</span>`);
+  }
+  
+  if (polyfill.npm) {
+    badges.push(`<span class="polyfill-badge badge-npm" title="npm package">npm</span>`);
+  }
+  if (polyfill.repository) {
+    badges.push(`<span class="polyfill-badge badge-github" title="Repository">GitHub</span>`);
+  }
+  
+  const meta = [];
+  const health = generatePackageHealthHtml(polyfill.npm && npmMetadata[polyfill.npm]);
+  if (polyfill.npm) {
+    meta.push(`Package: <code>${escapeHtml(polyfill.npm)}</code>`);
+    if (npmStats[polyfill.npm]) {
+      const downloads = npmStats[polyfill.npm].downloads;
+      if (downloads !== null && downloads !== undefined) {
+        meta.push(`${downloads.toLocaleString()} downloads/week`);
+      }
+      const trend = generateTrendHtml(npmStats[polyfill.npm].history);
+      if (trend) meta.push(trend);
+    }
+  }
+  if (polyfill.repository) {
+    meta.push(`Repo: <code>${escapeHtml(polyfill.repository)}</code>`);
+  }
+  if (polyfill.modules) {
+    meta.push(`Modules: ${polyfill.modules.map(module => `<code>${escapeHtml(module)}</code>`).join(", ")}`);
+  }
+  
+  const description = polyfill.description || polyfill.url;
+  const warnings = [
+    ...(polyfill.not_recommended ? [`Not recommended: ${escapeHtml(polyfill.not_recommended)}`] : []),
+    ...health.warnings,
+  ];
+  const healthHtml = [
+    ...(health.details.length > 0 ? [`<div class="polyfill-meta package-details">${health.details.join(" · ")}</div>`] : []),
+    ...warnings.map(warning => `<div class="package-warning">⚠ ${warning}</div>`),
+  ].join("\n            ");
+  
+  return `
+          <li class="polyfill-item">
+            <div class="polyfill-header">
+              <a href="${escapeHtml(polyfill.url)}" target="_blank" rel="noopener noreferrer" class="polyfill-link">
+                ${escapeHtml(description)}
+              </a>
+              ${badges.join("\n              ")}
+            </div>
+            ${meta.length > 0 ? `<div class="polyfill-meta">${meta.join(" · ")}</div>` : ""}
+            ${healthHtml}
+            ${generateSourceHtml(polyfill.source)}
+          </li>
+        `;
+}
+
+// Get the fallback types a feature has, as used by the type filters
+function getFallbackTypes(fallbacks) {
+  const types = new Set();
+  for (const fallback of fallbacks) {
+    if (fallback.npm) types.add("npm");
+    if (fallback.repository) types.add("github");
+    if (fallback.type === "postcss-plugin") types.add("postcss");
+    if (fallback.type === "code") types.add("code");
+  }
+  return [...types];
+}
+
+// Get the data attributes the client script filters and sorts cards by
+function getCardData(featureId, feature, polyfillData, npmStats) {
+  const packages = polyfillData.fallbacks.map(fallback => fallback.npm).filter(Boolean);
+  const downloads = packages.map(name => npmStats[name]?.downloads || 0);
+  const search = [featureId, feature.name, feature.description, ...packages].filter(Boolean).join(" ").toLowerCase();
+  
+  return {
+    baseline: getBaselineKey(feature),
+    types: getFallbackTypes(polyfillData.fallbacks).join(" "),
+    lowDate: feature.status?.baseline_low_date || "",
+    highDate: feature.status?.baseline_high_date || "",
+    downloads: Math.max(0, ...downloads),
+    search,
+  };
+}
+
+// Build the compact package -> features index that the "check your
+// project" script matches a project's dependencies against. Packages with
+// per-feature modules (core-js) are left out, like in scan-project.js.
+function getPackageIndex(featuresWithPolyfills, npmStats) {
+  const packages = {};
+  const indexedFeatures = {};
+  
+  for (const { id, feature, polyfillData } of featuresWithPolyfills) {
+    for (const fallback of polyfillData.fallbacks) {
+      if (!fallback.npm || fallback.modules) continue;
+      packages[fallback.npm] ||= { features: [], downloads: npmStats[fallback.npm]?.downloads || 0 };
+      if (!packages[fallback.npm].features.includes(id)) packages[fallback.npm].features.push(id);
+      indexedFeatures[id] = { name: feature.name, baseline: getBaselineKey(feature) };
+    }
+  }
+  
+  return { packages, features: indexedFeatures };
+}
+
+// Embed JSON in a <script> element, so that "</script>" in strings can't end it
+function embedJson(data) {
+  return JSON.stringify(data).replace(/</g, "\\u003c");
+}
+
+// Generate feature card HTML
+function generateFeatureCardHtml(featureId, feature, polyfillData, npmStats, npmMetadata, verdict) {
+  const badge = getBaselineBadge(feature);
+  const verdictBadge = verdict ? getVerdictBadge(verdict) : null;
+  const lowDate = formatBaselineDate(feature.status?.baseline_low_date);
+  const highDate = formatBaselineDate(feature.status?.baseline_high_date);
+  const description = feature.description_html || feature.description;
+  const breaks = polyfillData.breaks_in_unsupported_browsers;
+  const data = Object.entries(getCardData(featureId, feature, polyfillData, npmStats))
+    .map(([key, value]) => `data-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}="${escapeHtml(String(value))}"`)
+    .join(" ");
+  
+  const polyfillsHtml = polyfillData.fallbacks
+    .map(p => generatePolyfillHtml(p, npmStats, npmMetadata))
+    .join("");
+  
+  return `
+        <div class="feature-card" id="${escapeHtml(featureId)}" ${data}>
+          <div class="feature-header">
+            <h2 class="feature-name">
+              <img src="${badge.icon}" alt="${badge.text}" class="baseline-icon" />
+              <a href="features/${escapeHtml(featureId)}.html" class="feature-link">${escapeHtml(feature.name)}</a>
+              <span class="badge ${badge.class}">${badge.text}</span>
+            </h2>
+            <div class="feature-meta">
+              <span class="feature-id">${escapeHtml(featureId)}</span>
+              ${lowDate ? `<span class="feature-date">Newly available since ${lowDate}</span>` : ""}
+              ${highDate ? `<span class="feature-date">Widely available since ${highDate}</span>` : ""}
+              ${breaks !== undefined ? `<span class="feature-breaks">${breaks ? "Breaks in unsupported browsers" : "Degrades gracefully in unsupported browsers"}</span>` : ""}
+              ${verdictBadge ? `<span class="verdict ${verdictBadge.class}">${escapeHtml(verdictBadge.text)}</span>` : ""}
+            </div>
+          </div>
+          ${description ? `<p class="feature-description">${description}</p>` : ""}
+          ${polyfillData.use_case ? `<p class="feature-use-case"><strong>Use case:</strong> ${escapeHtml(polyfillData.use_case)}</p>` : ""}
+          <div class="polyfills-section">
+            <h3 class="polyfills-heading">Fallbacks (${polyfillData.fallbacks.length})</h3>
+            <ul class="polyfills-list">
+              ${polyfillsHtml}
+            </ul>
+          </div>
+        </div>
+      `;
+}
+
+// Look up the __compat data for a BCD key like "api.IntersectionObserver"
+function getCompatData(bcd, compatKey) {
+  let data = bcd;
+  for (const part of compatKey.split(".")) {
+    data = data?.[part];
+    if (!data) return null;
+  }
+  return data.__compat || null;
+}
+
+// Describe a BCD support statement for a compat table cell
+function getSupportCell(support) {
+  const statement = [].concat(support || [])[0];
+  if (!statement || statement.version_added === null) {
+    return { class: "support-unknown", text: "?" };
+  }
+  if (statement.version_added === false) {
+    return { class: "support-no", text: "No" };
+  }
+  
+  const added = statement.version_added === "preview" ? "Preview" : statement.version_added;
+  if (statement.version_removed) {
+    return { class: "support-no", text: `${added}–${statement.version_removed}`, note: "Removed" };
+  }
+  
+  const notes = [
+    statement.partial_implementation && "Partial implementation",
+    statement.prefix && `Prefixed with ${statement.prefix}`,
+    statement.alternative_name && `As ${statement.alternative_name}`,
+    statement.flags && "Behind a flag",
+  ].filter(Boolean);
+  return { class: notes.length > 0 ? "support-partial" : "support-yes", text: added, note: notes.join(", ") };
+}
+
+// Generate a compat table cell
+function generateSupportCellHtml(cell) {
+  const title = cell.note ? ` title="${escapeHtml(cell.note)}"` : "";
+  const marker = cell.note ? " *" : "";
+  return `<td class="${cell.class}"${title}>${escapeHtml(cell.text)}${marker}</td>`;
+}
+
+// Generate the per-browser support table of a feature: its overall
+// support from web-features, then each of its compat_features from BCD
+function generateCompatTableHtml(feature, bcd) {
+  const header = COMPAT_BROWSERS
+    .map(browser => `<th scope="col">${escapeHtml(bcd.browsers[browser]?.name || browser)}</th>`)
+    .join("");
+  
+  const overall = COMPAT_BROWSERS
+    .map(browser => {
+      const version = feature.status?.support?.[browser];
+      return generateSupportCellHtml(version ? { class: "support-yes", text: version } : { class: "support-no", text: "No" });
+    })
+    .join("");
+  
+  const rows = (feature.compat_features || []).map(compatKey => {
+    const compat = getCompatData(bcd, compatKey);
+    const name = compat?.mdn_url
+      ? `<a href="${escapeHtml(compat.mdn_url)}" target="_blank" rel="noopener noreferrer"><code>${escapeHtml(compatKey)}</code></a>`
+      : `<code>${escapeHtml(compatKey)}</code>`;
+    const cells = COMPAT_BROWSERS
+      .map(browser => generateSupportCellHtml(compat ? getSupportCell(compat.support[browser]) : { class: "support-unknown", text: "?" }))
+      .join("");
+    return `<tr><th scope="row">${name}</th>${cells}</tr>`;
+  });
+  
+  return `
+      <div class="compat-scroll">
+      <table class="compat-table">
+        <thead><tr><th scope="col">Compat feature</th>${header}</tr></thead>
+        <tbody>
+          <tr class="compat-overall"><th scope="row">${escapeHtml(feature.name)} (Baseline)</th>${overall}</tr>
+          ${rows.join("\n          ")}
+        </tbody>
+      </table>
+      </div>`;
+}
+
+// Generate the spec and caniuse links of a feature
+function generateFeatureLinksHtml(feature) {
+  const links = [
+    ...[].concat(feature.spec || []).map(url => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">Specification</a>`),
+    ...[].concat(feature.caniuse || []).map(id => `<a href="https://caniuse.com/${escapeHtml(id)}" target="_blank" rel="noopener noreferrer">caniuse: ${escapeHtml(id)}</a>`),
+  ];
+  return links.length > 0 ? `<p class="feature-links">${links.join(" · ")}</p>` : "";
+}
+
+// Generate the standalone page of one feature
+function generateFeaturePageHtml(featureId, feature, polyfillData, { npmStats, npmMetadata, verdict, bcd }) {
+  const badge = getBaselineBadge(feature);
+  const verdictBadge = verdict ? getVerdictBadge(verdict) : null;
+  const lowDate = formatBaselineDate(feature.status?.baseline_low_date);
+  const highDate = formatBaselineDate(feature.status?.baseline_high_date);
+  const description = feature.description_html || feature.description;
+  const breaks = polyfillData.breaks_in_unsupported_browsers;
+  
+  const polyfillsHtml = polyfillData.fallbacks
+    .map(p => generatePolyfillHtml(p, npmStats, npmMetadata))
+    .join("");
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(feature.name)} polyfills - Web Features Polyfill Explorer</title>
+  <style>${STYLES}  </style>
+</head>
+<body>
+  <p class="back-link"><a href="../index.html#${escapeHtml(featureId)}">← All features</a></p>
+  <header>
+    <h1 class="feature-name">
+      <img src="../${badge.icon}" alt="${badge.text}" class="baseline-icon" />
+      ${escapeHtml(feature.name)}
+      <span class="badge ${badge.class}">${badge.text}</span>
+    </h1>
+    <div class="feature-meta">
+      <span class="feature-id">${escapeHtml(featureId)}</span>
+      ${lowDate ? `<span class="feature-date">Newly available since ${lowDate}</span>` : ""}
+      ${highDate ? `<span class="feature-date">Widely available since ${highDate}</span>` : ""}
+      ${breaks !== undefined ? `<span class="feature-breaks">${breaks ? "Breaks in unsupported browsers" : "Degrades gracefully in unsupported browsers"}</span>` : ""}
+      ${verdictBadge ? `<span class="verdict ${verdictBadge.class}">${escapeHtml(verdictBadge.text)}</span>` : ""}
+    </div>
+    ${description ? `<p class="feature-description">${description}</p>` : ""}
+    ${polyfillData.use_case ? `<p class="feature-use-case"><strong>Use case:</strong> ${escapeHtml(polyfillData.use_case)}</p>` : ""}
+    ${generateFeatureLinksHtml(feature)}
+  </header>
+  <main>
+    <section class="feature-card">
+      <h2 class="polyfills-heading">Browser support</h2>
+      ${generateCompatTableHtml(feature, bcd)}
+      <p class="compat-note">Versions are the first release with support, from @mdn/browser-compat-data. * See the cell's tooltip for caveats.</p>
+    </section>
+    <section class="feature-card">
+      <h2 class="polyfills-heading">Fallbacks (${polyfillData.fallbacks.length})</h2>
+      <ul class="polyfills-list">
+        ${polyfillsHtml}
+      </ul>
+    </section>
+  </main>
+</body>
+</html>`;
+}
+
+// Generate a standalone page per feature, for docs/features/<id>.html.
+// Takes the options of generateHtml(), plus `bcd` (default: the installed
+// @mdn/browser-compat-data). Returns { [featureId]: html }.
+export async function generateFeaturePages(polyfillMappings, {
+  npmStats = {},
+  npmMetadata = {},
+  targets = null,
+  features = webFeatures,
+  bcd = defaultBcd,
+} = {}) {
+  const pages = {};
+  for (const [featureId, polyfillData] of Object.entries(polyfillMappings)) {
+    if (!features[featureId]) continue;
+    pages[featureId] = generateFeaturePageHtml(featureId, features[featureId], polyfillData, {
+      npmStats,
+      npmMetadata,
+      verdict: targets?.verdicts[featureId],
+      bcd,
+    });
+  }
+  return pages;
+}
+
+// Generate a horizontal bar chart as inline SVG. Each row is { label,
+// text, segments: [{ value, className, title }] }, and bars are scaled to
+// the largest row.
+function generateBarChartSvg(rows, title) {
+  const labelWidth = 220;
+  const barWidth = 360;
+  const rowHeight = 24;
+  const width = labelWidth + barWidth + 140;
+  const height = rows.length * rowHeight;
+  const max = Math.max(1, ...rows.map(row => row.segments.reduce((total, segment) => total + segment.value, 0)));
+  
+  const rowsSvg = rows.map((row, i) => {
+    const middle = i * rowHeight + rowHeight / 2;
+    let x = labelWidth;
+    const bars = row.segments.map(segment => {
+      const barLength = (segment.value / max) * barWidth;
+      const bar = `<rect class="${segment.className}" x="${x.toFixed(1)}" y="${i * rowHeight + 4}" width="${barLength.toFixed(1)}" height="${rowHeight - 8}"><title>${escapeHtml(segment.title)}</title></rect>`;
+      x += barLength;
+      return bar;
+    });
+    
+    return [
+      `<text class="chart-label" x="${labelWidth - 8}" y="${middle}" text-anchor="end" dominant-baseline="middle">${escapeHtml(row.label)}</text>`,
+      ...bars,
+      `<text class="chart-value" x="${(x + 6).toFixed(1)}" y="${middle}" dominant-baseline="middle">${escapeHtml(row.text)}</text>`,
+    ].join("");
+  });
+  
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">
+        ${rowsSvg.join("\n        ")}
+      </svg>`;
+}
+
+// Compute the dashboard statistics: features by Baseline status, npm
+// packages whose features are all widely available (so the polyfill can
+// go) with their weekly downloads, and features by web-features group
+function getDashboardStats(polyfillMappings, { npmStats, features, groups }) {
+  const mapped = Object.entries(polyfillMappings).filter(([featureId]) => features[featureId]);
+  const byStatus = { widely: 0, newly: 0, limited: 0 };
+  const packages = new Map();
+  const byGroup = new Map();
+  
+  for (const [featureId, { fallbacks }] of mapped) {
+    const feature = features[featureId];
+    const baseline = getBaselineKey(feature);
+    byStatus[baseline]++;
+    
+    for (const fallback of fallbacks) {
+      if (!fallback.npm) continue;
+      if (!packages.has(fallback.npm)) {
+        packages.set(fallback.npm, { name: fallback.npm, downloads: npmStats[fallback.npm]?.downloads || 0, features: new Set(), removable: true });
+      }
+      const pkg = packages.get(fallback.npm);
+      pkg.features.add(feature.name);
+      if (baseline !== "widely") pkg.removable = false;
+    }
+    
+    for (const group of [].concat(feature.group || "ungrouped")) {
+      if (!byGroup.has(group)) {
+        byGroup.set(group, { name: groups[group]?.name || "No group", widely: 0, newly: 0, limited: 0 });
+      }
+      byGroup.get(group)[baseline]++;
+    }
+  }
+  
+  const removable = [...packages.values()]
+    .filter(pkg => pkg.removable)
+    .sort((a, b) => b.downloads - a.downloads);
+  
+  return {
+    features: mapped.length,
+    fallbacks: mapped.reduce((total, [, { fallbacks }]) => total + fallbacks.length, 0),
+    packages: packages.size,
+    byStatus,
+    removable,
+    removableDownloads: removable.reduce((total, pkg) => total + pkg.downloads, 0),
+    byGroup: [...byGroup.values()].sort((a, b) =>
+      (b.widely + b.newly + b.limited) - (a.widely + a.newly + a.limited) || a.name.localeCompare(b.name)
+    ),
+  };
+}
+
+// Generate the dashboard page: ecosystem-level statistics of the mappings,
+// with inline SVG charts. Takes the options of generateHtml(), plus
+// `groups` (default: web-features groups).
+export async function generateDashboardHtml(polyfillMappings, {
+  npmStats = {},
+  features = webFeatures,
+  groups = webGroups,
+} = {}) {
+  const stats = getDashboardStats(polyfillMappings, { npmStats, features, groups });
+  const count = value => value.toLocaleString("en-US");
+  
+  const statusChart = generateBarChartSvg(
+    Object.entries(BASELINE_LABELS).map(([baseline, label]) => ({
+      label,
+      text: `${count(stats.byStatus[baseline])} features`,
+      segments: [{ value: stats.byStatus[baseline], className: `bar-${baseline}`, title: `${label}: ${stats.byStatus[baseline]}` }],
+    })),
+    "Mapped features by Baseline status"
+  );
+  
+  const topPackages = stats.removable.slice(0, 20);
+  const packagesChart = generateBarChartSvg(
+    topPackages.map(pkg => ({
+      label: pkg.name,
+      text: `${count(pkg.downloads)}/week`,
+      segments: [{ value: pkg.downloads, className: "bar-downloads", title: `${pkg.name} polyfills ${[...pkg.features].join(", ")}` }],
+    })),
+    "Most downloaded polyfills for widely available features"
+  );
+  
+  const groupsChart = generateBarChartSvg(
+    stats.byGroup.map(group => ({
+      label: group.name,
+      text: String(group.widely + group.newly + group.limited),
+      segments: Object.entries(BASELINE_LABELS).map(([baseline, label]) => ({
+        value: group[baseline],
+        className: `bar-${baseline}`,
+        title: `${group.name}, ${label.toLowerCase()}: ${group[baseline]}`,
+      })),
+    })),
+    "Mapped features by group and Baseline status"
+  );
+  
+  const today = new Date().toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Dashboard - Web Features Polyfill Explorer</title>
+  <style>${STYLES}  </style>
+</head>
+<body>
+  <p class="back-link"><a href="index.html">← All features</a></p>
+  <header>
+    <h1>Polyfill Dashboard</h1>
+    <p class="subtitle">How much of the polyfill ecosystem targets features that are already Baseline</p>
+    <div class="stats">Generated on ${today}</div>
+    <div class="stat-tiles">
+      <div class="stat-tile"><span class="stat-number">${count(stats.features)}</span> features with fallbacks</div>
+      <div class="stat-tile"><span class="stat-number">${count(stats.fallbacks)}</span> fallbacks, from ${count(stats.packages)} npm packages</div>
+      <div class="stat-tile"><span class="stat-number">${count(stats.removable.length)}</span> npm packages that only polyfill widely available features</div>
+      <div class="stat-tile"><span class="stat-number">${count(stats.removableDownloads)}</span> weekly downloads of those packages: an estimate of avoidable polyfill installs</div>
+    </div>
+  </header>
+  <main>
+    <section class="feature-card">
+      <h2 class="polyfills-heading">Features by Baseline status</h2>
+      ${statusChart}
+    </section>
+    <section class="feature-card">
+      <h2 class="polyfills-heading">Top ${topPackages.length} polyfills for widely available features, by weekly downloads</h2>
+      ${packagesChart}
+    </section>
+    <section class="feature-card">
+      <h2 class="polyfills-heading">Features by group</h2>
+      ${groupsChart}
+      <p class="compat-note">Features in several groups are counted in each.</p>
+    </section>
+  </main>
+</body>
+</html>`;
+}
+
+// Styles shared by the explorer and the feature pages
+const STYLES = `
+    * {
+      box-sizing: border-box;
+    }
+    
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    
+    header {
+      background: white;
+      padding: 30px;
+      border-radius: 8px;
+      margin-bottom: 30px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    
+    h1 {
+      margin: 0 0 10px 0;
+      color: #1a1a1a;
+    }
+    
+    .subtitle {
+      color: #666;
+      font-size: 1.1em;
+      margin: 0;
+    }
+    
+    .stats {
+      margin-top: 20px;
+      padding-top: 20px;
+      border-top: 1px solid #eee;
+      color: #666;
+    }
+    
+    .filters {
+      margin-top: 20px;
+      padding-top: 20px;
+      border-top: 1px solid #eee;
+      display: flex;
+      gap: 10px;
+      flex-wrap: wrap;
+      align-items: center;
+    }
+    
+    .filter-label {
+      font-weight: 600;
+      color: #333;
+    }
+    
+    .filter-btn {
+      padding: 8px 16px;
+      border: 2px solid #ddd;
+      border-radius: 6px;
+      background: white;
+      color: #333;
+      font-size: 0.9em;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.2s;
+    }
+    
+    .filter-btn:hover {
+      border-color: #0066cc;
+      color: #0066cc;
+    }
+    
+    .filter-btn.active {
+      background: #0066cc;
+      border-color: #0066cc;
+      color: white;
+    }
+    
+    .search-input {
+      flex: 1;
+      padding: 10px 14px;
+      border: 2px solid #ddd;
+      border-radius: 6px;
+      font-size: 1em;
+    }
+    
+    .search-input:focus {
+      border-color: #0066cc;
+      outline: none;
+    }
+    
+    .no-results {
+      text-align: center;
+      color: #666;
+      padding: 40px 0;
+    }
+    
+    .sort-controls {
+      margin-top: 15px;
+      padding-top: 15px;
+      border-top: 1px solid #eee;
+      display: flex;
+      gap: 10px;
+      flex-wrap: wrap;
+      align-items: center;
+    }
+    
+    .sort-btn {
+      padding: 8px 16px;
+      border: 2px solid #ddd;
+      border-radius: 6px;
+      background: white;
+      color: #333;
+      font-size: 0.9em;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.2s;
+    }
+    
+    .sort-btn:hover {
+      border-color: #0066cc;
+      color: #0066cc;
+    }
+    
+    .sort-btn.active {
+      background: #0066cc;
+      border-color: #0066cc;
+      color: white;
+    }
+    
+    .feature-card {
+      background: white;
+      border-radius: 8px;
+      padding: 25px;
+      margin-bottom: 20px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+      transition: box-shadow 0.2s;
+      scroll-margin-top: 20px;
+    }
+    
+    .feature-card:hover {
+      box-shadow: 0 4px 8px rgba(0,0,0,0.15);
+    }
+    
+    .feature-header {
+      margin-bottom: 15px;
+    }
+    
+    .feature-name {
+      margin: 0 0 10px 0;
+      color: #1a1a1a;
+      font-size: 1.5em;
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      flex-wrap: wrap;
+    }
+    
+    .baseline-icon {
+      height: 24px;
+      width: auto;
+      vertical-align: middle;
+    }
+    
+    .feature-meta {
+      display: flex;
+      gap: 15px;
+      flex-wrap: wrap;
+      font-size: 0.9em;
+      color: #666;
+    }
+    
+    .feature-id {
+      font-family: monospace;
+      background: #f0f0f0;
+      padding: 2px 6px;
+      border-radius: 3px;
+    }
+    
+    .feature-date {
+      color: #0066cc;
+    }
+    
+    .verdict {
+      padding: 0 6px;
+      border-radius: 3px;
+      font-weight: 500;
+    }
+    
+    .verdict-not-needed {
+      background: #e6f6e6;
+      color: #006600;
+    }
+    
+    .verdict-needed {
+      background: #fdecea;
+      color: #b00020;
+    }
+    
+    .verdict-partial {
+      background: #fff4e0;
+      color: #8a5300;
+    }
+    
+    .feature-breaks {
+      color: #666;
+    }
+    
+    .feature-description {
+      margin: 15px 0;
+      color: #555;
+    }
+    
+    .feature-use-case {
+      margin: 15px 0;
+      color: #333;
+    }
+    
+    .badge {
+      display: inline-block;
+      padding: 4px 10px;
+      border-radius: 12px;
+      font-size: 0.75em;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    
+    .badge-widely {
+      background: #00aa00;
+      color: white;
+    }
+    
+    .badge-newly {
+      background: #0066cc;
+      color: white;
+    }
+    
+    .badge-limited {
+      background: #ff9900;
+      color: white;
+    }
+    
+    .polyfills-section {
+      display: inline-block;
+      padding: 4px 10px;
+      border-radius: 12px;
+      font-size: 0.75em;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    
+    .badge-widely {
+      background: #00aa00;
+      color: white;
+    }
+    
+    .badge-newly {
+      background: #0066cc;
+      color: white;
+    }
+    
+    .badge-limited {
+      background: #ff9900;
+      color: white;
+    }
+    
+    .badge-none {
+      background: #999;
+      color: white;
+    }
+    
+    .polyfills-section {
+      margin-top: 20px;
+      padding-top: 20px;
+      border-top: 1px solid #eee;
+    }
+    
+    .polyfills-heading {
+      margin: 0 0 15px 0;
+      font-size: 1.1em;
+      color: #333;
+    }
+    
+    .polyfills-list {
+      list-style: none;
+      padding: 0;
+      margin: 0;
+    }
+    
+    .polyfill-item {
+      margin-bottom: 15px;
+      padding: 12px;
+      background: #f9f9f9;
+      border-radius: 6px;
+      border-left: 3px solid #0066cc;
+    }
+    
+    .polyfill-header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      flex-wrap: wrap;
+      margin-bottom: 5px;
+    }
+    
+    .polyfill-link {
+      color: #0066cc;
+      text-decoration: none;
+      font-weight: 500;
+      flex: 1;
+      min-width: 200px;
+    }
+    
+    .polyfill-link:hover {
+      text-decoration: underline;
+    }
+    
+    .polyfill-badge {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 3px;
+      font-size: 0.7em;
+      font-weight: 600;
+      text-transform: uppercase;
+    }
+    
+    .badge-npm {
+      background: #cb3837;
+      color: white;
+    }
+    
+    .badge-github {
+      background: #24292e;
+      color: white;
+    }
+    
+    .badge-postcss {
+      background: #7b61ff;
+      color: white;
+    }
+    
+    .badge-code {
+      background: #555;
+      color: white;
+    }
+    
+    .polyfill-text {
+      font-weight: 500;
+      flex: 1;
+      min-width: 200px;
+    }
+    
+    .fallback-code {
+      margin: 8px 0 0 0;
+      padding: 10px;
+      background: #f0f0f0;
+      border-radius: 4px;
+      overflow-x: auto;
+    }
+    
+    .fallback-code code {
+      padding: 0;
+      background: none;
+    }
+    
+    .polyfill-meta {
+      font-size: 0.85em;
+      color: #666;
+      margin-top: 5px;
+    }
+    
+    .polyfill-source {
+      font-size: 0.8em;
+      color: #888;
+      margin-top: 3px;
+    }
+    
+    .polyfill-source a {
+      color: inherit;
+    }
+    
+    .package-warning {
+      font-size: 0.85em;
+      color: #8a4b00;
+      background: #fff4e0;
+      border-left: 3px solid #f0a020;
+      padding: 4px 8px;
+      margin-top: 6px;
+    }
+    
+    .trend {
+      white-space: nowrap;
+    }
+    
+    .sparkline {
+      vertical-align: middle;
+    }
+    
+    .sparkline polyline {
+      fill: none;
+      stroke: #0066cc;
+      stroke-width: 1.5;
+    }
+    
+    /* Declining polyfill usage is good news */
+    .trend-down .sparkline polyline {
+      stroke: #00aa00;
+    }
+    
+    .trend-up .sparkline polyline {
+      stroke: #cc3300;
+    }
+    
+    code {
+      background: #f0f0f0;
+      padding: 2px 6px;
+      border-radius: 3px;
+      font-family: "SF Mono", Monaco, "Cascadia Code", "Roboto Mono", Consolas, "Courier New", monospace;
+      font-size: 0.9em;
+    }
+    
+    .feature-link {
+      color: inherit;
+      text-decoration: none;
+    }
+    
+    .feature-link:hover {
+      text-decoration: underline;
+    }
+    
+    .back-link {
+      margin: 0 0 15px 0;
+    }
+    
+    .back-link a,
+    .feature-links a {
+      color: #0066cc;
+    }
+    
+    .compat-scroll {
+      overflow-x: auto;
+    }
+    
+    .compat-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.9em;
+    }
+    
+    .compat-table th,
+    .compat-table td {
+      padding: 6px 8px;
+      border: 1px solid #eee;
+      text-align: center;
+    }
+    
+    .compat-table tbody th {
+      text-align: left;
+      font-weight: normal;
+    }
+    
+    .compat-table tbody .compat-overall th {
+      font-weight: 600;
+    }
+    
+    .support-yes {
+      background: #e6f6e6;
+      color: #006600;
+    }
+    
+    .support-partial {
+      background: #fff4e0;
+      color: #8a5300;
+    }
+    
+    .support-no {
+      background: #fdecea;
+      color: #b00020;
+    }
+    
+    .support-unknown {
+      color: #999;
+    }
+    
+    .compat-note {
+      font-size: 0.85em;
+      color: #666;
+    }
+    
+    .project-check {
+      margin-top: 15px;
+      padding-top: 15px;
+      border-top: 1px solid #eee;
+    }
+    
+    .project-check summary {
+      cursor: pointer;
+    }
+    
+    .project-input {
+      width: 100%;
+      padding: 10px;
+      border: 2px solid #ddd;
+      border-radius: 6px;
+      font-family: "SF Mono", Monaco, "Cascadia Code", "Roboto Mono", Consolas, "Courier New", monospace;
+      font-size: 0.85em;
+    }
+    
+    .project-actions {
+      margin-top: 10px;
+      padding-top: 0;
+      border-top: none;
+    }
+    
+    .project-hits {
+      padding-left: 20px;
+    }
+    
+    .project-hits a {
+      color: #0066cc;
+    }
+    
+    .project-transitive {
+      color: #666;
+    }
+    
+    .feature-card.project-match {
+      box-shadow: 0 0 0 3px #f0a020;
+    }
+    
+    .stat-tiles {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 15px;
+      margin-top: 20px;
+    }
+    
+    .stat-tile {
+      padding: 15px;
+      background: #f9f9f9;
+      border-radius: 6px;
+      color: #555;
+    }
+    
+    .stat-number {
+      display: block;
+      font-size: 2em;
+      font-weight: 600;
+      color: #1a1a1a;
+    }
+    
+    .chart {
+      width: 100%;
+      height: auto;
+    }
+    
+    .chart-label {
+      font-size: 12px;
+      fill: #333;
+    }
+    
+    .chart-value {
+      font-size: 12px;
+      fill: #666;
+    }
+    
+    .bar-widely {
+      fill: #00aa00;
+    }
+    
+    .bar-newly {
+      fill: #0066cc;
+    }
+    
+    .bar-limited {
+      fill: #ff9900;
+    }
+    
+    .bar-downloads {
+      fill: #cb3837;
+    }
+    
+    @media (max-width: 768px) {
+      body {
+        padding: 10px;
+      }
+      
+      .feature-card {
+        padding: 15px;
+      }
+      
+      .feature-name {
+        font-size: 1.2em;
+      }
+    }
+`;
+
+// Generate the explorer page from polyfill mappings. npm stats and
+// metadata are optional, and `targets` (from getPolyfillVerdicts) adds
+// "still needed?" verdicts for a browserslist query.
+export async function generateHtml(polyfillMappings, {
+  npmStats = {},
+  npmMetadata = {},
+  targets = null,
+  features = webFeatures,
+} = {}) {
+  // Get features with polyfills and sort by baseline date (oldest first by default)
+  const featuresWithPolyfills = Object.entries(polyfillMappings)
+    .filter(([featureId]) => features[featureId])
+    .map(([featureId, polyfillData]) => ({
+      id: featureId,
+      feature: features[featureId],
+      polyfillData,
+      sortDate: getSortDate(features[featureId]),
+    }))
+    .sort((a, b) => a.sortDate.localeCompare(b.sortDate));
+  
+  const featureCards = featuresWithPolyfills
+    .map(({ id, feature, polyfillData }) => generateFeatureCardHtml(id, feature, polyfillData, npmStats, npmMetadata, targets?.verdicts[id]))
+    .join("\n    ");
+  const packageIndex = getPackageIndex(featuresWithPolyfills, npmStats);
+  
+  const today = new Date().toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Web Features Polyfill Explorer</title>
+  <style>${STYLES}  </style>
+</head>
+<body>
+  <header>
+    <h1>Web Features Polyfill Explorer</h1>
+    <p class="subtitle">Browse web platform features with available polyfills, sorted by Baseline availability date</p>
+    <div class="stats">
+      <span id="feature-count">Showing ${featuresWithPolyfills.length} features with polyfills</span> · 
+      Generated on ${today} · 
+      <a href="dashboard.html">Dashboard</a>
+      ${targets ? `<br>Browser targets: <code>${escapeHtml(targets.query)}</code>` : ""}
+    </div>
+    <div class="filters">
+      <input type="search" id="search" class="search-input" placeholder="Search features, descriptions and npm packages" aria-label="Search features, descriptions and npm packages">
+    </div>
+    <div class="filters">
+      <label class="filter-label">Filter by Baseline status:</label>
+      <button class="filter-btn active" data-filter="all">All</button>
+      <button class="filter-btn" data-filter="widely">Widely Available</button>
+      <button class="filter-btn" data-filter="newly">Newly Available</button>
+      <button class="filter-btn" data-filter="limited">Limited Availability</button>
+    </div>
+    <div class="filters">
+      <label class="filter-label">Filter by fallback type:</label>
+      <button class="filter-btn" data-type="npm">npm</button>
+      <button class="filter-btn" data-type="github">GitHub</button>
+      <button class="filter-btn" data-type="postcss">PostCSS plugin</button>
+      <button class="filter-btn" data-type="code">Fallback code</button>
+    </div>
+    <div class="sort-controls">
+      <label class="filter-label" title="When features became widely available, or newly available if they aren't widely available yet">Sort by Baseline date:</label>
+      <button class="sort-btn" data-sort="date-desc">Newest First</button>
+      <button class="sort-btn active" data-sort="date-asc">Oldest First</button>
+    </div>
+    <div class="sort-controls">
+      <label class="filter-label">Sort by npm downloads:</label>
+      <button class="sort-btn" data-sort="npm-desc">Most Downloads</button>
+      <button class="sort-btn" data-sort="npm-asc">Least Downloads</button>
+    </div>
+    <details class="project-check">
+      <summary class="filter-label">Check your project</summary>
+      <p>Paste or drop a <code>package.json</code> or <code>package-lock.json</code> to find which of its dependencies are polyfills listed here. It's checked in your browser and never uploaded.</p>
+      <textarea id="project-input" class="project-input" rows="6" spellcheck="false" placeholder="{ &quot;dependencies&quot;: { … } }" aria-label="package.json or package-lock.json contents"></textarea>
+      <div class="filters project-actions">
+        <button class="filter-btn" id="project-check">Check</button>
+        <label class="filter-btn">Open file…<input type="file" id="project-file" accept=".json,application/json" hidden></label>
+      </div>
+      <div id="project-results" aria-live="polite"></div>
+    </details>
+  </header>
+  
+  <main>
+    ${featureCards}
+  </main>
+  <p class="no-results" id="no-results" hidden>No features match these filters.</p>
+
+  <script>
+    // Search, filter and sort, with the view state kept in the URL so it
+    // can be linked, e.g. ?baseline=widely&type=npm&sort=npm-desc
+    const DEFAULT_STATE = { q: '', baseline: 'all', types: [], sort: 'date-asc' };
+    const searchInput = document.getElementById('search');
+    const baselineButtons = document.querySelectorAll('[data-filter]');
+    const typeButtons = document.querySelectorAll('[data-type]');
+    const sortButtons = document.querySelectorAll('.sort-btn');
+    const featureCards = Array.from(document.querySelectorAll('.feature-card'));
+    const featureCount = document.getElementById('feature-count');
+    const noResults = document.getElementById('no-results');
+    const mainContainer = document.querySelector('main');
+    
+    // Read the view state from the URL, ignoring values no control offers
+    function readState() {
+      const params = new URLSearchParams(location.search);
+      const offers = (buttons, key, value) => Array.from(buttons).some(button => button.dataset[key] === value);
+      const baseline = params.get('baseline');
+      const sort = params.get('sort');
+      
+      return {
+        q: params.get('q') || DEFAULT_STATE.q,
+        baseline: offers(baselineButtons, 'filter', baseline) ? baseline : DEFAULT_STATE.baseline,
+        types: params.getAll('type').filter(type => offers(typeButtons, 'type', type)),
+        sort: offers(sortButtons, 'sort', sort) ? sort : DEFAULT_STATE.sort,
+      };
+    }
+    
+    // Write the view state to the URL, leaving out defaults
+    function writeState() {
+      const params = new URLSearchParams();
+      if (state.q) params.set('q', state.q);
+      if (state.baseline !== DEFAULT_STATE.baseline) params.set('baseline', state.baseline);
+      state.types.forEach(type => params.append('type', type));
+      if (state.sort !== DEFAULT_STATE.sort) params.set('sort', state.sort);
+      
+      const query = params.toString();
+      history.replaceState(null, '', (query ? '?' + query : location.pathname) + location.hash);
+    }
+    
+    // Whether a card matches the search and every filter
+    function matches(card) {
+      const words = state.q.toLowerCase().split(/\\s+/).filter(Boolean);
+      const types = card.dataset.types.split(' ');
+      
+      return words.every(word => card.dataset.search.includes(word)) &&
+        (state.baseline === 'all' || card.dataset.baseline === state.baseline) &&
+        (state.types.length === 0 || state.types.some(type => types.includes(type)));
+    }
+    
+    // Get the date a card sorts by, like getSortDate() does
+    function getSortDate(card) {
+      return (card.dataset.highDate || card.dataset.lowDate || '9999-12-31').replace('≤', '');
+    }
+    
+    // Compare cards for the sort order, e.g. "npm-desc"
+    function compareCards(a, b) {
+      const [key, direction] = state.sort.split('-');
+      const order = direction === 'desc' ? -1 : 1;
+      
+      if (key === 'npm') {
+        return order * (Number(a.dataset.downloads) - Number(b.dataset.downloads));
+      }
+      return order * getSortDate(a).localeCompare(getSortDate(b));
+    }
+    
+    // Show the matching cards in order, and sync the controls and URL
+    function render() {
+      const visible = featureCards.filter(matches).sort(compareCards);
+      featureCards.forEach(card => { card.style.display = 'none'; });
+      visible.forEach(card => {
+        card.style.display = '';
+        mainContainer.appendChild(card);
+      });
+      
+      const count = visible.length;
+      featureCount.textContent = \`Showing \${count} feature\${count !== 1 ? 's' : ''} with polyfills\`;
+      noResults.hidden = count > 0;
+      
+      if (searchInput.value !== state.q) searchInput.value = state.q;
+      baselineButtons.forEach(button => button.classList.toggle('active', button.dataset.filter === state.baseline));
+      typeButtons.forEach(button => {
+        const active = state.types.includes(button.dataset.type);
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+      });
+      sortButtons.forEach(button => button.classList.toggle('active', button.dataset.sort === state.sort));
+      
+      writeState();
+    }
+    
+    let state = readState();
+    
+    searchInput.addEventListener('input', () => {
+      state = { ...state, q: searchInput.value.trim() };
+      render();
+    });
+    
+    baselineButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        state = { ...state, baseline: button.dataset.filter };
+        render();
+      });
+    });
+    
+    // Type filters combine: a card matches if it has any of the selected types
+    typeButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        const type = button.dataset.type;
+        const types = state.types.includes(type) ? state.types.filter(t => t !== type) : [...state.types, type];
+        state = { ...state, types };
+        render();
+      });
+    });
+    
+    sortButtons.forEach(button => {
+      button.addEventListener('click', () => {
+        state = { ...state, sort: button.dataset.sort };
+        render();
+      });
+    });
+    
+    render();
+  </script>
+  
+  <script type="application/json" id="package-index">${embedJson(packageIndex)}</script>
+  <script>
+    // Check a project's dependencies against the package index, entirely
+    // in the browser. Packages are grouped by the least available of the
+    // features they polyfill: only those whose features are all widely
+    // available can be removed.
+    const packageIndex = JSON.parse(document.getElementById('package-index').textContent);
+    const projectInput = document.getElementById('project-input');
+    const projectResults = document.getElementById('project-results');
+    const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+    const BASELINE_GROUPS = [
+      ['widely', 'Widely available: removable'],
+      ['newly', 'Newly available'],
+      ['limited', 'Limited availability'],
+    ];
+    
+    // Escape HTML
+    function escapeHtml(text) {
+      const element = document.createElement('span');
+      element.textContent = text;
+      return element.innerHTML;
+    }
+    
+    // Collect dependencies from package.json or package-lock.json contents,
+    // as a map of name -> whether it's a direct dependency
+    function collectDependencies(json) {
+      const dependencies = new Map();
+      const isLockfile = 'lockfileVersion' in json;
+      const root = isLockfile ? json.packages?.[''] || {} : json;
+      DEPENDENCY_FIELDS.forEach(field => Object.keys(root[field] || {}).forEach(name => dependencies.set(name, true)));
+      
+      if (json.packages) {
+        // lockfileVersion 2 and 3: flat map keyed by node_modules path
+        Object.keys(json.packages).forEach(key => {
+          if (!key.includes('node_modules/')) return;
+          const name = key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length);
+          if (!dependencies.has(name)) dependencies.set(name, false);
+        });
+      } else if (isLockfile) {
+        // lockfileVersion 1: nested dependency tree
+        const walk = tree => Object.entries(tree || {}).forEach(([name, info]) => {
+          if (!dependencies.has(name)) dependencies.set(name, false);
+          walk(info.dependencies);
+        });
+        walk(json.dependencies);
+      }
+      
+      return dependencies;
+    }
+    
+    // Get the least available Baseline status of a package's features
+    function getPackageBaseline(features) {
+      const order = BASELINE_GROUPS.map(([baseline]) => baseline);
+      return features
+        .map(id => packageIndex.features[id].baseline)
+        .sort((a, b) => order.indexOf(b) - order.indexOf(a))[0];
+    }
+    
+    // Generate the result line of a package
+    function generateHitHtml(hit) {
+      const features = hit.features
+        .map(id => \`<a href="#\${id}">\${escapeHtml(packageIndex.features[id].name)}</a>\`)
+        .join(', ');
+      const direct = hit.direct ? '' : ' <span class="project-transitive">(transitive)</span>';
+      return \`<li><code>\${escapeHtml(hit.name)}</code>\${direct}: \${hit.downloads.toLocaleString()} downloads/week · \${features}</li>\`;
+    }
+    
+    // Check pasted package.json or package-lock.json contents and list the results
+    function checkProject(text) {
+      const showInvalid = reason => {
+        projectResults.innerHTML = \`<p class="package-warning">⚠ Not a package.json or package-lock.json: \${escapeHtml(reason)}</p>\`;
+      };
+      
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (error) {
+        showInvalid(error.message);
+        return;
+      }
+      // Valid JSON can still be null, a number, a string or an array
+      if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        showInvalid('expected a JSON object');
+        return;
+      }
+      
+      const dependencies = collectDependencies(json);
+      const hits = Array.from(dependencies)
+        .filter(([name]) => Object.hasOwn(packageIndex.packages, name))
+        .map(([name, direct]) => ({ name, direct, ...packageIndex.packages[name] }))
+        .sort((a, b) => b.downloads - a.downloads);
+      
+      // Highlight the features the project polyfills
+      const matched = new Set(hits.flatMap(hit => hit.features));
+      document.querySelectorAll('.feature-card').forEach(card => card.classList.toggle('project-match', matched.has(card.id)));
+      
+      if (hits.length === 0) {
+        projectResults.innerHTML = \`<p>✓ None of the \${dependencies.size} dependencies are polyfills listed here.</p>\`;
+        return;
+      }
+      
+      const groups = BASELINE_GROUPS
+        .map(([baseline, label]) => [label, hits.filter(hit => getPackageBaseline(hit.features) === baseline)])
+        .filter(([, groupHits]) => groupHits.length > 0);
+      const removable = hits.filter(hit => getPackageBaseline(hit.features) === 'widely');
+      const removableDownloads = removable.reduce((total, hit) => total + hit.downloads, 0);
+      
+      projectResults.innerHTML = \`
+        <p class="project-summary">Found \${hits.length} polyfill package(s) among \${dependencies.size} dependencies.
+          \${removable.length} can be removed, with \${removableDownloads.toLocaleString()} weekly downloads between them.</p>
+        \${groups.map(([label, groupHits]) => \`
+          <h3 class="polyfills-heading">\${label} (\${groupHits.length})</h3>
+          <ul class="project-hits">\${groupHits.map(generateHitHtml).join('')}</ul>
+        \`).join('')}\`;
+    }
+    
+    document.getElementById('project-check').addEventListener('click', () => checkProject(projectInput.value));
+    
+    // Read a dropped or chosen file into the textarea, and check it
+    async function checkFile(file) {
+      if (!file) return;
+      projectInput.value = await file.text();
+      checkProject(projectInput.value);
+    }
+    
+    document.getElementById('project-file').addEventListener('change', event => checkFile(event.target.files[0]));
+    projectInput.addEventListener('dragover', event => event.preventDefault());
+    projectInput.addEventListener('drop', event => {
+      event.preventDefault();
+      checkFile(event.dataTransfer.files[0]);
+    });
+  </script>
+</body>
+</html>`;
+}
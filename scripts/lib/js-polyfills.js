@@ -0,0 +1,146 @@
+/**
+ * Map web-features to core-js modules and es-shims packages
+ *
+ * core-js: every import path in core-js-compat's entries.json under
+ * core-js/actual/ (e.g. core-js/actual/array/at) is resolved to a BCD key
+ * by matching its path segments against javascript.builtins and api
+ * (array/at -> javascript.builtins.Array.at), then to the web-features
+ * that list that key in their compat_features.
+ *
+ * es-shims: packages are named after the spec section of what they
+ * polyfill (array.prototype.at, object.fromentries, globalthis), so
+ * candidate names are derived from the tc39 spec_url anchors of each
+ * feature's BCD keys. Not every spec section has an es-shims package, so
+ * candidates are checked against the npm registry by
+ * generate-es-shims-packages.js, which lists the ones that exist.
+ *
+ * Both take the web-features and BCD data to use, e.g. from a source's
+ * context.
+ */
+
+import entries from "core-js-compat/entries.json" with { type: "json" };
+
+const CORE_JS_PREFIX = "core-js/actual/";
+
+// Index web-features by the BCD keys they list
+function getFeaturesByCompatKey(features) {
+  const featuresByCompatKey = new Map();
+  for (const [featureId, feature] of Object.entries(features)) {
+    for (const compatKey of feature.compat_features || []) {
+      if (!featuresByCompatKey.has(compatKey)) featuresByCompatKey.set(compatKey, []);
+      featuresByCompatKey.get(compatKey).push(featureId);
+    }
+  }
+  return featuresByCompatKey;
+}
+
+// Normalize a name for loose matching: "url-search-params" and
+// "URLSearchParams" both become "urlsearchparams"
+function normalizeName(name) {
+  return name.replace(/_static$/, "").replace(/[^a-zA-Z0-9]/g, "").toLowerCase();
+}
+
+// Find the child of a BCD node whose name loosely matches a path segment
+function findChild(node, segment) {
+  const normalized = normalizeName(segment);
+  return Object.keys(node).find(key => key !== "__compat" && normalizeName(key) === normalized);
+}
+
+// Resolve a core-js entry path like "array/at" to a BCD key
+function resolveCompatKey(entryPath, bcd) {
+  const segments = entryPath.split("/");
+  if (segments.length > 2) return null; // e.g. array/virtual/at
+
+  for (const root of ["javascript.builtins", "api"]) {
+    let node = bcd;
+    for (const part of root.split(".")) node = node[part];
+
+    const keys = [root];
+    for (const segment of segments) {
+      const child = findChild(node, segment);
+      if (!child) break;
+      keys.push(child);
+      node = node[child];
+    }
+    if (keys.length === segments.length + 1) return keys.join(".");
+  }
+  return null;
+}
+
+// Map web-features to core-js import paths, as { featureId: [paths] }
+export function getCoreJSModules({ features, bcd }) {
+  const modules = {};
+  const index = getFeaturesByCompatKey(features);
+
+  for (const entry of Object.keys(entries)) {
+    if (!entry.startsWith(CORE_JS_PREFIX)) continue;
+
+    const compatKey = resolveCompatKey(entry.slice(CORE_JS_PREFIX.length), bcd);
+    for (const featureId of index.get(compatKey) || []) {
+      (modules[featureId] ||= []).push(entry);
+    }
+  }
+
+  for (const paths of Object.values(modules)) paths.sort();
+  return modules;
+}
+
+// Look up the __compat data for a BCD key
+function getCompatData(compatKey, bcd) {
+  let data = bcd;
+  for (const part of compatKey.split(".")) {
+    data = data?.[part];
+    if (!data) return null;
+  }
+  return data.__compat || null;
+}
+
+// Derive es-shims package names from a BCD key's tc39 spec anchors,
+// e.g. #sec-array.prototype.at -> array.prototype.at
+function getESShimsNames(compatKey, bcd) {
+  const specUrls = [].concat(getCompatData(compatKey, bcd)?.spec_url || []);
+
+  return specUrls
+    .filter(url => /^https:\/\/tc39\.es\//.test(url))
+    .map(url => url.match(/#sec-(?:get-)?(.+)$/)?.[1]?.toLowerCase())
+    .filter(name => name && /^[a-z][a-z0-9]*(\.[a-z0-9]+)*$/.test(name));
+}
+
+// Name what an es-shims package polyfills, in the casing of its BCD key,
+// e.g. array.prototype.toreversed -> Array.prototype.toReversed
+function getESShimsLabel(name, compatKey) {
+  const [owner, member] = compatKey.split(".").slice(2);
+  if (!member) return owner;
+  return name.includes(".prototype.")
+    ? `${owner}.prototype.${member}`
+    : `${owner}.${member.replace(/_static$/, "")}`;
+}
+
+// Map web-features to candidate es-shims packages, as
+// { featureId: [{ name, label }] }
+export function getESShimsCandidates({ features, bcd }) {
+  const candidates = {};
+
+  for (const [featureId, feature] of Object.entries(features)) {
+    for (const compatKey of feature.compat_features || []) {
+      if (!compatKey.startsWith("javascript.builtins.")) continue;
+
+      for (const name of getESShimsNames(compatKey, bcd)) {
+        const list = (candidates[featureId] ||= []);
+        if (!list.some(candidate => candidate.name === name)) {
+          list.push({ name, label: getESShimsLabel(name, compatKey) });
+        }
+      }
+    }
+  }
+
+  return candidates;
+}
+
+// Get the es-shims repository (as owner/repo) of a registry manifest, or
+// null if the package isn't maintained by es-shims. Some of the older
+// shims (object.assign, globalthis) still live under their author's account.
+export function getESShimsRepository(manifest) {
+  const repository = typeof manifest?.repository === "string" ? manifest.repository : manifest?.repository?.url;
+  return repository?.match(/github\.com[/:]((?:es-shims|ljharb)\/[^/#?]+?)(\.git)?\/?$/)?.[1] || null;
+}
@@ -0,0 +1,266 @@
+/**
+ * Generate polyfill mappings for web-features
+ *
+ * Runs the discovery sources (see sources/index.js), applies manual
+ * overrides, merges duplicates (see canonicalize.js) and builds entries in
+ * the dataset schema. Nothing is written to disk: the data sources
+ * (web-features, BCD, cssdb, MDN content) can be passed in, and default to
+ * the installed packages and a cached MDN checkout.
+ */
+
+import { features as webFeatures } from "web-features";
+import defaultBcd from "@mdn/browser-compat-data" with { type: "json" };
+import defaultCssdb from "cssdb";
+import { validateOverrides, isMetadataKey, formatProblem } from "./validation.js";
+import { createPackageIndex, canonicalizeFallbacks, matchesFallback } from "./canonicalize.js";
+import { getSources, runSources } from "../sources/index.js";
+
+// Infer whether using a feature breaks pages in browsers that lack it:
+// unsupported JS APIs throw, while unsupported CSS and HTML are ignored
+function inferBreaksInUnsupportedBrowsers(feature) {
+  const compatFeatures = feature?.compat_features || [];
+  if (compatFeatures.length === 0) return undefined;
+
+  const breaks = compatFeatures.map(key => /^(api|javascript)\./.test(key));
+  if (breaks.every(Boolean)) return true;
+  if (!breaks.some(Boolean)) return false;
+  return undefined; // Mixed, e.g. a CSS feature with a JS API
+}
+
+// Snapshot a feature's Baseline status from web-features
+function getBaselineStatus(feature) {
+  const status = feature?.status;
+  if (!status) return undefined;
+
+  const snapshot = { baseline: status.baseline };
+  if (status.baseline_low_date) snapshot.baseline_low_date = status.baseline_low_date;
+  if (status.baseline_high_date) snapshot.baseline_high_date = status.baseline_high_date;
+  return snapshot;
+}
+
+// Build an entry in schema order, keeping curated fields over inferred ones
+function toEntry(feature, { use_case, breaks_in_unsupported_browsers, fallbacks }) {
+  const entry = {};
+  if (use_case) entry.use_case = use_case;
+
+  const breaks = breaks_in_unsupported_browsers ?? inferBreaksInUnsupportedBrowsers(feature);
+  if (breaks !== undefined) entry.breaks_in_unsupported_browsers = breaks;
+
+  const status = getBaselineStatus(feature);
+  if (status) entry.status = status;
+
+  // Keep each fallback's provenance last, after fields later sources filled in
+  entry.fallbacks = fallbacks.map(({ source, ...fallback }) => source ? { ...fallback, source } : fallback);
+  return entry;
+}
+
+// Apply an override's "remove" and "patch" operations to auto-discovered
+// fallbacks. Operations that match nothing, or no longer change anything,
+// are reported in `stale`.
+function applyFallbackOperations(featureId, fallbacks, override, stale, log) {
+  let result = fallbacks;
+
+  (override.remove || []).forEach((match, index) => {
+    const remaining = result.filter(fallback => !matchesFallback(match, fallback));
+    if (remaining.length === result.length) {
+      stale.push(`${featureId}.remove[${index}]: no fallback matches ${JSON.stringify(match)}`);
+    } else {
+      log.log(`  - Removed: ${featureId} (${result.length - remaining.length} fallback(s) matching ${JSON.stringify(match)})`);
+    }
+    result = remaining;
+  });
+
+  (override.patch || []).forEach(({ set, ...match }, index) => {
+    const matches = result.filter(fallback => matchesFallback(match, fallback));
+    if (matches.length === 0) {
+      stale.push(`${featureId}.patch[${index}]: no fallback matches ${JSON.stringify(match)}`);
+      return;
+    }
+
+    const changed = matches.filter(fallback =>
+      Object.entries(set).some(([key, value]) => JSON.stringify(fallback[key]) !== JSON.stringify(value))
+    );
+    if (changed.length === 0) {
+      stale.push(`${featureId}.patch[${index}]: already applied by the generated data, can be removed`);
+      return;
+    }
+
+    result = result.map(fallback => {
+      if (!changed.includes(fallback)) return fallback;
+      const enrichedBy = fallback.source?.enriched_by || [];
+      const source = fallback.source && !enrichedBy.includes("overrides")
+        ? { ...fallback.source, enriched_by: [...enrichedBy, "overrides"] }
+        : fallback.source;
+      return { ...fallback, ...set, source };
+    });
+    log.log(`  ✎ Patched: ${featureId} (${changed.length} fallback(s) matching ${JSON.stringify(match)})`);
+  });
+
+  return result;
+}
+
+// Merge manual overrides into the discovered mappings, in place
+function applyOverrides(mappings, overrides, stale, log) {
+  for (const [featureId, override] of Object.entries(overrides)) {
+    // Curated fallbacks are traced back to the overrides file
+    const overrideFallbacks = override.fallbacks?.map(fallback => ({ ...fallback, source: fallback.source || { name: "overrides" } }));
+
+    if (override.exclude) {
+      if (!mappings[featureId]) {
+        stale.push(`${featureId}: "exclude" has nothing to exclude`);
+      }
+      delete mappings[featureId];
+      log.log(`  - Excluded: ${featureId}`);
+      continue;
+    }
+
+    if (override.remove || override.patch) {
+      if (mappings[featureId]) {
+        mappings[featureId].fallbacks = applyFallbackOperations(featureId, mappings[featureId].fallbacks, override, stale, log);
+      } else {
+        stale.push(`${featureId}: "remove" and "patch" have no auto-discovered fallbacks to change`);
+      }
+    }
+
+    if (overrideFallbacks !== undefined) {
+      if (override.replace) {
+        // Replace mode: completely override auto-generated data
+        mappings[featureId] = { fallbacks: overrideFallbacks };
+        log.log(`  ↻ Replaced: ${featureId} (${overrideFallbacks.length} fallback(s))`);
+      } else if (mappings[featureId]) {
+        // Augment mode (default): append to existing fallbacks
+        mappings[featureId].fallbacks = [
+          ...mappings[featureId].fallbacks,
+          ...overrideFallbacks
+        ];
+        log.log(`  + Augmented: ${featureId} (added ${overrideFallbacks.length} fallback(s))`);
+      } else {
+        // No existing entry, create new one
+        mappings[featureId] = { fallbacks: overrideFallbacks };
+        log.log(`  + Added: ${featureId}`);
+      }
+    }
+
+    // Curated feature metadata
+    if (mappings[featureId]?.fallbacks.length > 0) {
+      for (const field of ["use_case", "breaks_in_unsupported_browsers"]) {
+        if (override[field] !== undefined) {
+          mappings[featureId][field] = override[field];
+        }
+      }
+    } else {
+      if (mappings[featureId]) {
+        delete mappings[featureId];
+        log.log(`  - Dropped: ${featureId} (no fallbacks left)`);
+      }
+      if (override.use_case !== undefined || override.breaks_in_unsupported_browsers !== undefined) {
+        log.warn(`  ⚠ Ignored metadata for ${featureId}: no fallbacks`);
+      }
+    }
+  }
+}
+
+// Keep the code signatures that generate-code-signatures.js recorded for
+// packages that are still mapped, since no source produces them
+function carryCodeSignatures(mappings, previous) {
+  const signatures = new Map();
+  for (const { fallbacks = [] } of Object.values(previous)) {
+    for (const fallback of fallbacks) {
+      if (fallback.npm && fallback.code_signature) signatures.set(fallback.npm, fallback.code_signature);
+    }
+  }
+
+  for (const { fallbacks } of Object.values(mappings)) {
+    for (const fallback of fallbacks) {
+      if (fallback.npm && signatures.has(fallback.npm)) fallback.code_signature = signatures.get(fallback.npm);
+    }
+  }
+}
+
+// Generate polyfill mappings. Options:
+// - features, bcd, cssdb: data to discover from (default: installed packages)
+// - sources: source names or adapters to run, in priority order (default: all)
+// - merge: merge policy per source name, e.g. { "es-shims": "fill" }
+// - offline: skip anything that needs network
+// - mdnDocsMapping: the web-features MDN docs mapping, or mdnDocsMappingPath
+//   to load it from a file (default: fetched from GitHub)
+// - mdnContentPath: root of an MDN content checkout (default: cloned into
+//   mdn-content-temp/)
+// - overrides: contents of polyfills-overrides.json
+// - esShimsPackages: contents of es-shims-packages.json (default: read from
+//   mappings/)
+// - npmMetadata: contents of npm-metadata.json, to match npm packages to
+//   their repositories
+// - previous: the current polyfills.json, to keep its code signatures
+// - log: console-like object for progress output
+// Returns { mappings, stats, merges, stale }.
+export async function generateMappings({
+  features = webFeatures,
+  bcd = defaultBcd,
+  cssdb = defaultCssdb,
+  sources: sourceNames,
+  merge = {},
+  offline = false,
+  mdnDocsMapping,
+  mdnDocsMappingPath,
+  mdnContentPath,
+  esShimsPackages,
+  overrides = {},
+  npmMetadata = {},
+  previous = {},
+  log = console,
+} = {}) {
+  // Refuse to merge overrides with typos or conflicting settings
+  const problems = await validateOverrides(overrides);
+  if (problems.length > 0) {
+    problems.forEach(problem => log.error(`✗ ${formatProblem(problem)}`));
+    throw new Error(`Invalid overrides (${problems.length} problem(s)). Run 'npm run validate' after fixing them.`);
+  }
+
+  const packageIndex = createPackageIndex(npmMetadata);
+  const context = {
+    features,
+    bcd,
+    cssdb,
+    offline,
+    mdnDocsMapping,
+    mdnDocsMappingPath,
+    mdnContentPath,
+    esShimsPackages,
+    packageIndex,
+    log,
+  };
+  const { mappings, stats } = await runSources(getSources(sourceNames), context, merge);
+
+  // Filter out comments and $schema
+  const featureOverrides = Object.fromEntries(
+    Object.entries(overrides).filter(([key]) => !isMetadataKey(key))
+  );
+  const stale = [];
+  if (Object.keys(featureOverrides).length > 0) {
+    log.log(`\n✓ Loaded ${Object.keys(featureOverrides).length} manual overrides`);
+    applyOverrides(mappings, featureOverrides, stale, log);
+  }
+
+  // Merge duplicates across sources and overrides
+  const merges = [];
+  for (const [featureId, mapping] of Object.entries(mappings)) {
+    const canonical = canonicalizeFallbacks(mapping.fallbacks, packageIndex);
+    mapping.fallbacks = canonical.fallbacks;
+    merges.push(...canonical.merges.map(merge => ({ featureId, ...merge })));
+  }
+
+  // Curated fallbacks that a source now finds on its own
+  for (const { featureId, dropped, sources: [keptSource, droppedSource] } of merges) {
+    if (droppedSource === "overrides" && keptSource !== "overrides") {
+      stale.push(`${featureId}: ${dropped} is now discovered by ${keptSource}, the override fallback can be removed`);
+    }
+  }
+
+  carryCodeSignatures(mappings, previous);
+  for (const featureId of Object.keys(mappings)) {
+    mappings[featureId] = toEntry(features[featureId], mappings[featureId]);
+  }
+
+  return { mappings, stats, merges, stale };
+}
@@ -0,0 +1,144 @@
+/**
+ * Extract polyfill links from MDN page markdown
+ *
+ * Parses a page into a markdown AST and looks for polyfill links in every
+ * section, not only "See also":
+ * - In "See also", a link counts when its URL or list item mentions a
+ *   polyfill, or when it points to an npm package (as MDN lists core-js
+ *   and friends there)
+ * - In a section whose heading mentions polyfills (e.g. "## Polyfill"),
+ *   every external link counts
+ * - Anywhere else (notes, descriptions, text around `{{Compat}}`), a link
+ *   counts when its URL or the sentence around it mentions a polyfill
+ *
+ * Inline links and reference-style links (`[text][ref]` with a
+ * `[ref]: url` definition) are both handled. MDN macros like
+ * `{{jsxref("Array.prototype.at")}}` are rendered to their link text, and
+ * others like `{{Compat}}` are dropped, so descriptions read as they do
+ * on MDN. Links to MDN itself and links inside code are ignored.
+ *
+ * Each link is returned with the heading of the section it came from.
+ */
+
+import { fromMarkdown } from "mdast-util-from-markdown";
+
+const POLYFILL_PATTERN = /poly-?fill|ponyfill/i;
+const SEE_ALSO_PATTERN = /^see also$/i;
+const IGNORED_HOSTS = ["developer.mozilla.org", "wikipedia.org", "caniuse.com"];
+
+// Macros that render as a link or term; others (e.g. {{Compat}}) render as nothing
+const TEXT_MACROS = new Set(["glossary", "htmlelement", "svgelement", "svgattr", "httpheader", "httpmethod", "httpstatus", "mathmlelement"]);
+
+// Render MDN macros in text, e.g. {{jsxref("Array.prototype.at", "at()")}} -> at()
+function renderMacros(text) {
+  return text.replace(/\{\{\s*([\w-]+)\s*(?:\(([^}]*)\))?\s*\}\}/g, (match, name, args = "") => {
+    const lowerName = name.toLowerCase();
+    if (!lowerName.endsWith("xref") && !TEXT_MACROS.has(lowerName)) return "";
+
+    const values = [...args.matchAll(/"([^"]*)"|'([^']*)'/g)].map(([, double, single]) => double ?? single);
+    if (values.length === 0) return "";
+    if (lowerName === "htmlelement") return `<${values[0]}>`;
+    return values[1] || values[0];
+  });
+}
+
+// Strip YAML front matter, which would otherwise parse as a heading
+function stripFrontMatter(markdown) {
+  return markdown.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, "");
+}
+
+// Convert inline content to plain text, keeping backticks around code
+function toText(node) {
+  if (node.type === "text") return renderMacros(node.value);
+  if (node.type === "inlineCode") return `\`${node.value}\``;
+  if (node.type === "code" || node.type === "html") return "";
+  if (node.type === "list") return ""; // Nested lists belong to their own items
+  if (node.type === "break") return " ";
+  return (node.children || []).map(toText).join("");
+}
+
+// Normalize whitespace in extracted text, and drop callout markers like
+// "[!NOTE]" or "Note:" at the start of a note
+function cleanText(text) {
+  return text
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^(\[!\w+\]|(Note|Warning|Callout):)\s*/i, "");
+}
+
+// Whether a URL points somewhere other than MDN
+function isExternalUrl(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return false; // Relative links point to other MDN pages
+  }
+  return !IGNORED_HOSTS.some(ignored => host === ignored || host.endsWith(`.${ignored}`));
+}
+
+// Find the sentence of a paragraph that contains the link text
+function findSentence(paragraphText, linkText) {
+  const sentences = paragraphText.split(/(?<=[.!?])\s+(?=[A-Z`{])/);
+  return sentences.find(sentence => sentence.includes(linkText)) || paragraphText;
+}
+
+// Collect reference-style link definitions, keyed by normalized identifier
+function collectDefinitions(node, definitions = new Map()) {
+  if (node.type === "definition") {
+    definitions.set(node.identifier, node.url);
+  }
+  (node.children || []).forEach(child => collectDefinitions(child, definitions));
+  return definitions;
+}
+
+// Extract polyfill links as [{ url, text, section }] from MDN page markdown
+export function extractPolyfillLinks(markdown) {
+  const tree = fromMarkdown(stripFrontMatter(markdown));
+  const definitions = collectDefinitions(tree);
+  const links = [];
+  let section = null;
+
+  // Decide whether a link is a polyfill and record it
+  function visitLink(node, block) {
+    const url = node.type === "linkReference" ? definitions.get(node.identifier) : node.url;
+    if (!url || !isExternalUrl(url)) return;
+
+    const linkText = cleanText(toText(node));
+    const blockText = cleanText(toText(block));
+    const context = block.type === "listItem" ? blockText : findSentence(blockText, linkText);
+    const inSeeAlso = SEE_ALSO_PATTERN.test(section || "");
+
+    const isPolyfill =
+      POLYFILL_PATTERN.test(url) ||
+      POLYFILL_PATTERN.test(context) ||
+      POLYFILL_PATTERN.test(section || "") ||
+      (inSeeAlso && url.includes("npmjs.com/package/"));
+
+    if (isPolyfill) {
+      links.push({ url, text: context, section });
+    }
+  }
+
+  // Walk a node, tracking the closest list item or paragraph around each link
+  function visit(node, block) {
+    if (node.type === "link" || node.type === "linkReference") {
+      visitLink(node, block);
+      return;
+    }
+    const nextBlock = node.type === "listItem" || (node.type === "paragraph" && block?.type !== "listItem") || node.type === "tableCell"
+      ? node
+      : block;
+    (node.children || []).forEach(child => visit(child, nextBlock));
+  }
+
+  for (const node of tree.children) {
+    if (node.type === "heading") {
+      section = cleanText(toText(node));
+      continue;
+    }
+    visit(node, null);
+  }
+
+  return links;
+}
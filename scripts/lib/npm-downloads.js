@@ -0,0 +1,210 @@
+/**
+ * Client for the npm downloads API
+ *
+ * Fetches weekly download counts for many packages with bounded
+ * concurrency. Unscoped packages are requested in bulk (the API accepts up
+ * to BULK_LIMIT comma-separated names); scoped packages, which the bulk
+ * endpoint doesn't support, are requested one at a time.
+ *
+ * Weeks run Sunday to Saturday (UTC), so that history backfilled in one
+ * run and weeks added by later refreshes never overlap.
+ *
+ * Requests share an adaptive pacing delay: it grows on every 429 response
+ * (honoring Retry-After) and shrinks again as requests succeed.
+ *
+ * Both `fetch` and the API base URL are injectable, so the client can run
+ * against a local stub server.
+ */
+
+export const NPM_API_BASE = "https://api.npmjs.org/downloads";
+export const BULK_LIMIT = 128; // Max packages per bulk request
+
+const MIN_DELAY_MS = 100;
+const MAX_DELAY_MS = 60 * 1000;
+
+// Add delay between requests
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Format a Date as YYYY-MM-DD (UTC)
+function formatDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Get the end of the last complete week: the Saturday on or before
+// yesterday (the last complete day)
+export function getLastWeekEnd(now = new Date()) {
+  const end = new Date(now);
+  end.setUTCDate(end.getUTCDate() - 1);
+  end.setUTCDate(end.getUTCDate() - (end.getUTCDay() + 1) % 7);
+  return end;
+}
+
+// Get a date range of whole weeks, ending with the last complete week
+export function getBackfillRange(weeks, now = new Date()) {
+  const end = getLastWeekEnd(now);
+  const start = new Date(end);
+  start.setUTCDate(start.getUTCDate() - weeks * 7 + 1);
+  return `${formatDay(start)}:${formatDay(end)}`;
+}
+
+// Sum daily downloads into weeks, counting back from the last day.
+// Leading days that don't make a full week are dropped.
+export function aggregateWeeks(days) {
+  const weeks = [];
+
+  for (let end = days.length; end - 7 >= 0; end -= 7) {
+    const week = days.slice(end - 7, end);
+    weeks.unshift({
+      start: week[0].day,
+      end: week[6].day,
+      downloads: week.reduce((sum, { downloads }) => sum + downloads, 0)
+    });
+  }
+
+  return weeks;
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Split packages into request batches: bulk batches of unscoped packages,
+// and one batch per scoped package
+export function planBatches(packages, bulkLimit = BULK_LIMIT) {
+  const unscoped = packages.filter(name => !name.startsWith("@"));
+  const scoped = packages.filter(name => name.startsWith("@"));
+  const batches = [];
+
+  for (let i = 0; i < unscoped.length; i += bulkLimit) {
+    batches.push(unscoped.slice(i, i + bulkLimit));
+  }
+  scoped.forEach(name => batches.push([name]));
+
+  return batches;
+}
+
+// Get the unique npm packages of polyfill mappings, sorted by name
+export function getNpmPackages(polyfillMappings) {
+  const packages = new Set();
+  for (const entry of Object.values(polyfillMappings)) {
+    for (const fallback of entry.fallbacks) {
+      if (fallback.npm) packages.add(fallback.npm);
+    }
+  }
+  return Array.from(packages).sort();
+}
+
+// Run an async worker over items with at most `limit` in flight
+export async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Create a downloads API client
+export function createDownloadsClient({
+  fetch = globalThis.fetch,
+  baseUrl = NPM_API_BASE,
+  initialDelayMs = MIN_DELAY_MS,
+  maxRetries = 4,
+  log = console,
+} = {}) {
+  let delayMs = initialDelayMs;
+  let nextRequestAt = 0;
+
+  // Wait for this request's turn under the shared pacing delay
+  async function pace() {
+    const now = Date.now();
+    const startAt = Math.max(now, nextRequestAt);
+    nextRequestAt = startAt + delayMs;
+    await delay(startAt - now);
+  }
+
+  // GET a JSON document, retrying on rate limits and network errors.
+  // Returns null for 404s.
+  async function request(pathname, label) {
+    for (let attempt = 0; ; attempt++) {
+      await pace();
+
+      let response;
+      try {
+        response = await fetch(`${baseUrl}${pathname}`);
+      } catch (error) {
+        if (attempt >= maxRetries) {
+          throw new Error(`Error fetching stats for ${label}: ${error.message}`);
+        }
+        const waitTime = delayMs * 2 ** (attempt + 1);
+        log.warn(`  ⚠ Error fetching stats for ${label} (${error.message}), retrying in ${waitTime}ms...`);
+        await delay(waitTime);
+        continue;
+      }
+
+      if (response.status === 429) {
+        if (attempt >= maxRetries) {
+          throw new Error(`Rate limited on ${label} after ${maxRetries} retries`);
+        }
+        // Slow everyone down, and pause until the server says to retry
+        delayMs = Math.min(MAX_DELAY_MS, delayMs * 2);
+        const waitTime = parseRetryAfter(response.headers.get("retry-after")) ?? delayMs * 2 ** attempt;
+        nextRequestAt = Math.max(nextRequestAt, Date.now() + waitTime);
+        log.log(`  ⏳ Rate limited on ${label}, waiting ${waitTime}ms before retry ${attempt + 1}/${maxRetries}...`);
+        continue;
+      }
+
+      delayMs = Math.max(MIN_DELAY_MS, Math.floor(delayMs * 0.9));
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`Failed to fetch stats for ${label}: ${response.status}`);
+      }
+      return response.json();
+    }
+  }
+
+  // Fetch one batch of packages for a date range. Returns a Map of
+  // package name -> API result (null when not found).
+  async function fetchBatch(range, names) {
+    // URL encode package names to handle scoped packages like @js-temporal/polyfill
+    const pathname = `/range/${range}/${names.map(encodeURIComponent).join(",")}`;
+    const label = names.length === 1 ? names[0] : `${names.length} packages`;
+    const data = await request(pathname, label);
+
+    // Single-package responses aren't keyed by package name
+    if (names.length === 1) {
+      return new Map([[names[0], data]]);
+    }
+    return new Map(names.map(name => [name, data?.[name] ?? null]));
+  }
+
+  // Fetch weekly downloads over the last `weeks` weeks for a batch of
+  // packages, as Map of name -> [{ start, end, downloads }, ...] (or null)
+  async function fetchWeeks(names, weeks) {
+    const results = await fetchBatch(getBackfillRange(weeks), names);
+    return new Map([...results].map(([name, data]) => [
+      name,
+      data ? aggregateWeeks(data.downloads) : null
+    ]));
+  }
+
+  return {
+    fetchWeeks,
+
+    // Fetch the last complete week of downloads for a batch of packages, as
+    // Map of name -> [{ start, end, downloads }] (or null)
+    fetchLastWeek: names => fetchWeeks(names, 1),
+  };
+}
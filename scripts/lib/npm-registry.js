@@ -0,0 +1,148 @@
+/**
+ * Client for npm registry package metadata
+ *
+ * Summarizes what a package's registry document says about its health:
+ * whether the latest version is deprecated, when it was last published,
+ * how big it is, how many dependencies it pulls in, its license, how many
+ * maintainers it has and which repository (and monorepo directory) it is
+ * published from.
+ *
+ * The install size is an estimate: the unpacked size of the latest
+ * version plus its transitive dependencies, each resolved at their own
+ * latest version. Dependency manifests are cached, so packages sharing
+ * dependencies (like the es-shims packages) only fetch them once.
+ *
+ * Both `fetch` and the registry URL are injectable, so the client can run
+ * against a mirror or a local stub server.
+ */
+
+import { parseRepositoryField } from "./urls.js";
+
+export const NPM_REGISTRY = "https://registry.npmjs.org";
+
+// Add delay between requests
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Count the entries of a dependencies object
+function countDependencies(dependencies) {
+  return Object.keys(dependencies || {}).length;
+}
+
+// Normalize the license field, which older packages set as an object or array
+function getLicense(manifest) {
+  const license = manifest.license ?? manifest.licenses;
+  if (!license) return null;
+  if (typeof license === "string") return license;
+  if (Array.isArray(license)) {
+    return license.map(item => item?.type || item).filter(Boolean).join(" OR ") || null;
+  }
+  return license.type || null;
+}
+
+// Create a registry client
+export function createRegistryClient({
+  fetch = globalThis.fetch,
+  registry = NPM_REGISTRY,
+  maxRetries = 4,
+  log = console,
+} = {}) {
+  const manifests = new Map();
+
+  // GET a JSON document, retrying on rate limits and network errors.
+  // Returns null for 404s.
+  async function request(pathname, label) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(`${registry}${pathname}`);
+      } catch (error) {
+        if (attempt >= maxRetries) {
+          throw new Error(`Error fetching metadata for ${label}: ${error.message}`);
+        }
+        const waitTime = 1000 * 2 ** attempt;
+        log.warn(`  ⚠ Error fetching metadata for ${label} (${error.message}), retrying in ${waitTime}ms...`);
+        await delay(waitTime);
+        continue;
+      }
+
+      if (response.status === 429) {
+        if (attempt >= maxRetries) {
+          throw new Error(`Rate limited on ${label} after ${maxRetries} retries`);
+        }
+        const retryAfter = Number(response.headers.get("retry-after"));
+        const waitTime = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** attempt;
+        log.log(`  ⏳ Rate limited on ${label}, waiting ${waitTime}ms before retry ${attempt + 1}/${maxRetries}...`);
+        await delay(waitTime);
+        continue;
+      }
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`Failed to fetch metadata for ${label}: ${response.status}`);
+      }
+      return response.json();
+    }
+  }
+
+  // Get the latest version's manifest, cached across packages
+  function getLatestManifest(name) {
+    if (!manifests.has(name)) {
+      // Scoped names keep their "@" but need the slash encoded
+      manifests.set(name, request(`/${name.replace("/", "%2F")}/latest`, name));
+    }
+    return manifests.get(name);
+  }
+
+  // Estimate the install size from the transitive dependencies' latest versions
+  async function getInstallSize(manifest) {
+    const seen = new Set([manifest.name]);
+    let total = manifest.dist?.unpackedSize;
+    if (typeof total !== "number") return null;
+
+    let pending = Object.keys(manifest.dependencies || {});
+    while (pending.length > 0) {
+      const names = [...new Set(pending)].filter(name => !seen.has(name));
+      names.forEach(name => seen.add(name));
+
+      const dependencies = await Promise.all(names.map(getLatestManifest));
+      pending = [];
+      for (const dependency of dependencies) {
+        if (typeof dependency?.dist?.unpackedSize !== "number") return null;
+        total += dependency.dist.unpackedSize;
+        pending.push(...Object.keys(dependency.dependencies || {}));
+      }
+    }
+
+    return total;
+  }
+
+  return {
+    // Fetch the manifest of a package's latest version, or null if it isn't published
+    fetchLatestManifest: getLatestManifest,
+
+    // Fetch a package's metadata summary, or null if it isn't published
+    async fetchMetadata(name) {
+      const packument = await request(`/${name.replace("/", "%2F")}`, name);
+      if (!packument) return null;
+
+      const version = packument["dist-tags"]?.latest;
+      const manifest = packument.versions?.[version];
+      if (!manifest) return null;
+
+      return {
+        version,
+        deprecated: manifest.deprecated || null,
+        lastPublish: packument.time?.[version] || null,
+        unpackedSize: manifest.dist?.unpackedSize ?? null,
+        installSize: await getInstallSize(manifest),
+        dependencies: countDependencies(manifest.dependencies),
+        license: getLicense(manifest),
+        maintainers: (packument.maintainers || manifest.maintainers)?.length ?? null,
+        repository: parseRepositoryField(manifest.repository)?.repository || null,
+        directory: parseRepositoryField(manifest.repository)?.directory || null,
+      };
+    },
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Decide whether polyfills are still needed for a set of browser targets
+ *
+ * Resolves a browserslist query (or an explicit list of browsers and
+ * versions) and checks each mapped feature's `compat_features` against
+ * @mdn/browser-compat-data. A feature's polyfill is:
+ * - "not-needed" when every target supports every compat feature
+ * - "needed" when no target supports all of them
+ * - "partially-needed" when only some targets lack support
+ *
+ * Like web-features' own Baseline status, compat features that are less
+ * available than the feature as a whole (e.g. a constructor that only
+ * some browsers expose) are left out of the check.
+ *
+ * Targets that BCD has no data for (e.g. Opera Mini) are reported as
+ * unknown and don't affect the verdict. Compat features it has no data
+ * for are skipped too, and a feature with nothing left to check gets an
+ * "unknown" verdict.
+ *
+ * The web-features and BCD data default to the installed packages, and
+ * can be passed in as `{ features, bcd }`.
+ */
+
+import { features as defaultFeatures } from "web-features";
+import defaultBcd from "@mdn/browser-compat-data" with { type: "json" };
+import browserslist from "browserslist";
+
+// browserslist browser names -> BCD browser names
+const BROWSERSLIST_TO_BCD = {
+  chrome: "chrome",
+  and_chr: "chrome_android",
+  edge: "edge",
+  firefox: "firefox",
+  and_ff: "firefox_android",
+  safari: "safari",
+  ios_saf: "safari_ios",
+  opera: "opera",
+  op_mob: "opera_android",
+  samsung: "samsunginternet_android",
+  android: "webview_android",
+  ie: "ie",
+};
+
+export const VERDICTS = ["needed", "partially-needed", "not-needed"];
+
+const BASELINE_RANK = { high: 2, low: 1, false: 0 };
+
+// Resolve a browserslist query, or an explicit list of "browser version"
+// strings or { browser, version } objects, into BCD browser targets
+export function resolveTargets(query, { bcd = defaultBcd } = {}) {
+  const entries = Array.isArray(query) && typeof query[0] === "object"
+    ? query
+    : browserslist(query).map(entry => {
+        const [browser, version] = entry.split(" ");
+        return { browser, version };
+      });
+
+  const targets = [];
+  const unknown = [];
+
+  for (const { browser, version } of entries) {
+    const bcdBrowser = BROWSERSLIST_TO_BCD[browser] || (bcd.browsers[browser] ? browser : null);
+    // Ranges like "17.4-17.5" are checked against their lowest version
+    const lowestVersion = String(version).split("-")[0];
+
+    if (bcdBrowser && /^\d+(\.\d+)*$/.test(lowestVersion)) {
+      targets.push({ browser: bcdBrowser, version: lowestVersion, query: `${browser} ${version}` });
+    } else {
+      unknown.push(`${browser} ${version}`);
+    }
+  }
+
+  return { targets, unknown };
+}
+
+// Compare dotted version strings
+function compareVersions(a, b) {
+  const partsA = a.split(".").map(Number);
+  const partsB = b.split(".").map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  return 0;
+}
+
+// Look up the __compat data for a BCD key like "api.IntersectionObserver"
+function getCompatData(bcd, compatKey) {
+  let data = bcd;
+  for (const part of compatKey.split(".")) {
+    data = data?.[part];
+    if (!data) return null;
+  }
+  return data.__compat || null;
+}
+
+// Check whether a BCD support statement covers a browser version
+function isSupported(support, version) {
+  const statements = [].concat(support || []);
+
+  return statements.some(statement => {
+    // Prefixed, renamed, flagged and partial implementations don't count
+    if (statement.prefix || statement.alternative_name || statement.flags || statement.partial_implementation) {
+      return false;
+    }
+
+    const added = statement.version_added;
+    if (typeof added !== "string" || added === "preview") return false;
+
+    // "≤79" means "79 or earlier", so 79 is a safe lower bound
+    if (compareVersions(version, added.replace(/^≤/, "")) < 0) return false;
+
+    const removed = statement.version_removed;
+    if (typeof removed === "string" && compareVersions(version, removed.replace(/^≤/, "")) >= 0) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+// Get the compat features that determine a feature's Baseline status
+function getCoreCompatKeys(feature) {
+  const compatKeys = feature?.compat_features || [];
+  const byCompatKey = feature?.status?.by_compat_key;
+  if (!byCompatKey) return compatKeys;
+
+  const featureRank = BASELINE_RANK[feature.status.baseline];
+  return compatKeys.filter(compatKey => {
+    const status = byCompatKey[compatKey];
+    return !status || BASELINE_RANK[status.baseline] >= featureRank;
+  });
+}
+
+// Get the verdict for one web-feature against resolved targets
+export function getFeatureVerdict(featureId, { targets }, { features = defaultFeatures, bcd = defaultBcd } = {}) {
+  // Compat features BCD has no data for can't be checked
+  const compatData = getCoreCompatKeys(features[featureId])
+    .map(compatKey => [compatKey, getCompatData(bcd, compatKey)])
+    .filter(([, compat]) => compat);
+  if (compatData.length === 0 || targets.length === 0) {
+    return { verdict: "unknown", unsupported: [] };
+  }
+
+  const unsupported = [];
+  for (const target of targets) {
+    const missing = compatData
+      .filter(([, compat]) => !isSupported(compat.support[target.browser], target.version))
+      .map(([compatKey]) => compatKey);
+
+    if (missing.length > 0) {
+      unsupported.push({ target: target.query, missing });
+    }
+  }
+
+  let verdict = "partially-needed";
+  if (unsupported.length === 0) verdict = "not-needed";
+  else if (unsupported.length === targets.length) verdict = "needed";
+
+  return { verdict, unsupported };
+}
+
+// Get verdicts for every feature in the polyfill mappings
+export function getPolyfillVerdicts(polyfillMappings, query, data = {}) {
+  const resolved = resolveTargets(query, data);
+  const verdicts = {};
+
+  for (const featureId of Object.keys(polyfillMappings)) {
+    verdicts[featureId] = getFeatureVerdict(featureId, resolved, data);
+  }
+
+  return { verdicts, targets: resolved.targets.map(target => target.query), unknown: resolved.unknown };
+}
@@ -0,0 +1,95 @@
+/**
+ * Extract package and repository names from polyfill URLs, and normalize
+ * URLs so that links to the same page compare equal
+ */
+
+// Extract npm package from URL
+export function extractNpmPackage(url) {
+  // Match package name after /package/, handling scoped packages like @scope/package
+  const match = url.match(/npmjs\.com\/package\/(@?[^\/\?#]+(?:\/[^\/\?#]+)?)/);
+  if (match) return match[1];
+
+  // Special case: FormatJS polyfill links
+  // https://formatjs.github.io/docs/polyfills/intl-locale/ -> @formatjs/intl-locale
+  const formatJsMatch = url.match(/formatjs\.github\.io\/docs\/polyfills\/([\w-]+)/);
+  if (formatJsMatch) {
+    return `@formatjs/${formatJsMatch[1]}`;
+  }
+
+  return null;
+}
+
+// Extract repository from URL
+export function extractRepository(url) {
+  const match = url.match(/github\.com\/([^\/]+\/[^\/\?#]+)/);
+  return match ? match[1].replace(/\.git$/, '') : null;
+}
+
+// Get the repository a GitHub URL points into, including the directory for
+// links into a monorepo: github.com/owner/repo/tree/main/plugins/x ->
+// { repository: "owner/repo", directory: "plugins/x" }. Returns null for
+// other pages of a repository, like issues or single files.
+export function extractRepositoryPath(url) {
+  const match = url.match(/^https?:\/\/(?:www\.)?github\.com\/([^\/]+\/[^\/\?#]+?)(?:\.git)?(?:\/tree\/[^\/\?#]+\/([^\?#]+?))?\/?(?:[?#].*)?$/i);
+  if (!match) return null;
+  return { repository: match[1], directory: match[2] || null };
+}
+
+// Parse the repository field of a package.json, which can be a URL, a
+// "github:owner/repo" or "owner/repo" shorthand, or an object with a
+// directory for packages in a monorepo
+export function parseRepositoryField(field) {
+  const url = typeof field === "string" ? field : field?.url;
+  if (!url) return null;
+
+  const match = url.match(/^(?:github:)?([\w.-]+\/[\w.-]+?)(?:\.git)?$/) ||
+    url.match(/github\.com[\/:]([^\/]+\/[^\/#?]+?)(?:\.git)?\/?(?:#.*)?$/);
+  if (!match) return null;
+
+  const directory = typeof field === "object" && field.directory
+    ? field.directory.replace(/^\.?\/|\/$/g, "")
+    : null;
+  return { repository: match[1], directory: directory || null };
+}
+
+// Normalize a URL for storage: https, the canonical host for npm and
+// GitHub, and no trailing slash or ".git" suffix. Anchors are kept, since
+// they often point to the relevant part of a README.
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return url;
+  }
+
+  if (parsed.hostname === "npmjs.com") parsed.hostname = "www.npmjs.com";
+  if (parsed.hostname === "www.github.com") parsed.hostname = "github.com";
+  if (["www.npmjs.com", "github.com"].includes(parsed.hostname)) {
+    parsed.protocol = "https:";
+  }
+  if (parsed.pathname !== "/") {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+  }
+  if (parsed.hostname === "github.com") {
+    parsed.pathname = parsed.pathname.replace(/\.git$/, "");
+  }
+
+  return parsed.toString();
+}
+
+// Key under which URLs to the same page compare equal: ignores the
+// protocol, "www.", trailing slashes, anchors and (on GitHub, which
+// ignores it too) case
+export function getUrlKey(url) {
+  let parsed;
+  try {
+    parsed = new URL(normalizeUrl(url));
+  } catch {
+    return url;
+  }
+
+  const host = parsed.hostname.replace(/^www\./, "");
+  const pathname = host === "github.com" ? parsed.pathname.toLowerCase() : parsed.pathname;
+  return `${host}${pathname}${parsed.search}`;
+}
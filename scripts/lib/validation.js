@@ -0,0 +1,183 @@
+/**
+ * Validate polyfills.json and polyfills-overrides.json
+ *
+ * Checks both files against their JSON Schemas (in mappings/) and runs
+ * checks that a schema can't express: feature IDs that don't exist in
+ * web-features, duplicate URLs within a feature, npm names that don't
+ * match an npmjs.com URL, and conflicting override modes.
+ *
+ * Problems are returned as { file, key, message } objects, where key is
+ * a path like "scheduler.fallbacks[1].url".
+ */
+
+import { features } from "web-features";
+import Ajv from "ajv/dist/2020.js";
+import fs from "fs/promises";
+import { getUrlKey } from "./urls.js";
+
+// Resolved from this module, so they're found wherever the package is installed
+const MAPPINGS_DIR = new URL("../../mappings/", import.meta.url);
+
+export const POLYFILLS_FILE = "polyfills.json";
+export const OVERRIDES_FILE = "polyfills-overrides.json";
+
+let validators;
+
+// Compile both schemas once
+async function getValidators() {
+  if (validators) return validators;
+
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  for (const schemaFile of ["polyfills.schema.json", "polyfills-overrides.schema.json"]) {
+    const content = await fs.readFile(new URL(schemaFile, MAPPINGS_DIR), "utf-8");
+    ajv.addSchema(JSON.parse(content));
+  }
+
+  validators = {
+    [POLYFILLS_FILE]: ajv.getSchema("polyfills.schema.json"),
+    [OVERRIDES_FILE]: ajv.getSchema("polyfills-overrides.schema.json"),
+  };
+  return validators;
+}
+
+// Convert a JSON pointer like "/scheduler/fallbacks/1" to "scheduler.fallbacks[1]"
+function pointerToKey(pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map(part => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((key, part) => /^\d+$/.test(part) ? `${key}[${part}]` : key ? `${key}.${part}` : part, "");
+}
+
+// Describe an Ajv error in plain words
+function describeSchemaError(error) {
+  switch (error.keyword) {
+    case "additionalProperties":
+      return `unknown property "${error.params.additionalProperty}"`;
+    case "required":
+      return `missing required property "${error.params.missingProperty}"`;
+    case "anyOf":
+      // Only matchers in overrides use anyOf
+      return `needs a "url" or "npm" to match fallbacks by`;
+    case "enum":
+      return `${error.message}: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(", ")}`;
+    default:
+      return error.message;
+  }
+}
+
+// Check a parsed file against its schema
+async function checkSchema(file, data) {
+  const validate = (await getValidators())[file];
+  if (validate(data)) return [];
+
+  return validate.errors
+    // "if" errors only repeat the "then"/"else" errors they wrap, and
+    // the errors of each anyOf branch are summed up by the anyOf error
+    .filter(error => error.keyword !== "if" && !error.schemaPath.includes("/anyOf/"))
+    .map(error => ({ file, key: pointerToKey(error.instancePath), message: describeSchemaError(error) }));
+}
+
+// Check that a key is a current web-features ID
+function checkFeatureId(file, featureId) {
+  const feature = features[featureId];
+
+  if (!feature) {
+    return [{ file, key: featureId, message: "unknown web-features ID" }];
+  }
+  if (feature.kind === "moved") {
+    return [{ file, key: featureId, message: `feature has moved to "${feature.redirect_target}"` }];
+  }
+  if (feature.kind === "split") {
+    return [{ file, key: featureId, message: `feature has been split into ${feature.redirect_targets.map(id => `"${id}"`).join(", ")}` }];
+  }
+  return [];
+}
+
+// Check a feature's fallbacks for duplicate URLs and mismatched npm names.
+// cssdb links one URL as both a polyfill and a PostCSS plugin, so only
+// fallbacks of the same type count as duplicates. URLs are compared the way
+// the generator merges them, ignoring trailing slashes and anchors.
+function checkFallbacks(file, featureId, fallbacks) {
+  if (!Array.isArray(fallbacks)) return [];
+
+  const problems = [];
+  const seenUrls = new Map();
+
+  fallbacks.forEach((fallback, index) => {
+    const key = `${featureId}.fallbacks[${index}]`;
+    if (!fallback?.url) return;
+
+    const urlKey = `${fallback.type} ${getUrlKey(fallback.url)}`;
+    if (seenUrls.has(urlKey)) {
+      problems.push({ file, key: `${key}.url`, message: `duplicate URL, same as fallbacks[${seenUrls.get(urlKey)}]` });
+    } else {
+      seenUrls.set(urlKey, index);
+    }
+
+    const npmMatch = fallback.url.match(/npmjs\.com\/package\/(@?[^\/\?#]+(?:\/[^\/\?#]+)?)/);
+    if (npmMatch && fallback.npm && fallback.npm !== npmMatch[1]) {
+      problems.push({ file, key: `${key}.npm`, message: `"${fallback.npm}" doesn't match the package in the URL ("${npmMatch[1]}")` });
+    }
+  });
+
+  return problems;
+}
+
+// Check for override modes that contradict each other
+function checkOverrideModes(featureId, override) {
+  const problems = [];
+  const conflict = message => problems.push({ file: OVERRIDES_FILE, key: featureId, message });
+
+  if (override.exclude) {
+    if (override.replace) conflict(`"exclude" and "replace" can't be combined`);
+    if (override.fallbacks !== undefined) conflict(`"fallbacks" are ignored when "exclude" is set`);
+    if (override.remove || override.patch) conflict(`"remove" and "patch" are ignored when "exclude" is set`);
+    if (override.use_case !== undefined || override.breaks_in_unsupported_browsers !== undefined) {
+      conflict(`feature metadata is ignored when "exclude" is set`);
+    }
+  } else if (override.replace) {
+    if (override.fallbacks === undefined) conflict(`"replace" requires "fallbacks"`);
+    if (override.remove || override.patch) conflict(`"remove" and "patch" have nothing to change when "replace" is set`);
+  }
+
+  return problems;
+}
+
+// Whether a top-level key holds comments or the schema reference rather
+// than a feature
+export function isMetadataKey(key) {
+  return key.startsWith("_") || key === "$schema";
+}
+
+// Validate generated polyfill mappings
+export async function validatePolyfills(mappings) {
+  const problems = await checkSchema(POLYFILLS_FILE, mappings);
+
+  for (const [featureId, entry] of Object.entries(mappings)) {
+    problems.push(...checkFeatureId(POLYFILLS_FILE, featureId));
+    problems.push(...checkFallbacks(POLYFILLS_FILE, featureId, entry?.fallbacks));
+  }
+
+  return problems;
+}
+
+// Validate manual overrides
+export async function validateOverrides(overrides) {
+  const problems = await checkSchema(OVERRIDES_FILE, overrides);
+
+  for (const [featureId, override] of Object.entries(overrides)) {
+    if (isMetadataKey(featureId) || !override || typeof override !== "object") continue;
+
+    problems.push(...checkFeatureId(OVERRIDES_FILE, featureId));
+    problems.push(...checkFallbacks(OVERRIDES_FILE, featureId, override.fallbacks));
+    problems.push(...checkOverrideModes(featureId, override));
+  }
+
+  return problems;
+}
+
+// Format a problem for the console
+export function formatProblem({ file, key, message }) {
+  return `mappings/${file}${key ? ` → ${key}` : ""}: ${message}`;
+}
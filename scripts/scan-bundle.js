@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Scan bundled JavaScript for shipped polyfills
+ *
+ * Searches one or more built JS files for the `code_signature` strings
+ * recorded in polyfills.json (see generate-code-signatures.js) and reports
+ * which web-features' polyfills each file contains.
+ *
+ * A polyfill is reported when at least MIN_MATCHES of its signatures are
+ * found. A single string can turn up in unrelated code, so packages with
+ * fewer signatures than that are never reported.
+ *
+ * Input: mappings/polyfills.json, bundle file(s)
+ *
+ * Usage:
+ *   node scan-bundle.js dist/main.js [dist/vendor.js ...]
+ *   node scan-bundle.js --json dist/main.js
+ */
+
+import { features } from "web-features";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIN_MATCHES = 2;
+
+// Parse command line arguments
+const JSON_OUTPUT = process.argv.includes('--json');
+const FILES = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+// Load polyfill mappings
+async function loadPolyfillMappings() {
+  const mappingsPath = path.join(__dirname, "../mappings/polyfills.json");
+  const content = await fs.readFile(mappingsPath, "utf-8");
+  return JSON.parse(content);
+}
+
+// Collect signatures per npm package, with the features it polyfills
+function collectSignatures(polyfillMappings) {
+  const packages = new Map();
+
+  for (const [featureId, { fallbacks }] of Object.entries(polyfillMappings)) {
+    for (const fallback of fallbacks) {
+      if (!fallback.npm || !(fallback.code_signature?.length >= MIN_MATCHES)) continue;
+
+      if (!packages.has(fallback.npm)) {
+        packages.set(fallback.npm, { signatures: fallback.code_signature, features: [] });
+      }
+      packages.get(fallback.npm).features.push(featureId);
+    }
+  }
+
+  return packages;
+}
+
+// Find the polyfills whose signatures occur in a bundle
+function scanSource(source, packages) {
+  const detections = [];
+
+  for (const [npm, { signatures, features: featureIds }] of packages) {
+    const matched = signatures.filter(signature => source.includes(signature));
+    if (matched.length >= MIN_MATCHES) {
+      detections.push({ npm, features: featureIds, matched });
+    }
+  }
+
+  return detections;
+}
+
+// Print detections for one file
+function printReport(file, detections) {
+  console.log(`\n${file}`);
+
+  if (detections.length === 0) {
+    console.log("  No known polyfills detected");
+    return;
+  }
+
+  for (const { npm, features: featureIds, matched } of detections) {
+    const names = featureIds.map(id => `${features[id]?.name || id} (${id})`);
+    console.log(`  ✓ ${npm}: ${names.join(", ")}`);
+    console.log(`    matched ${matched.length} signature(s)`);
+  }
+}
+
+// Main
+async function main() {
+  if (FILES.length === 0) {
+    throw new Error("Usage: node scan-bundle.js [--json] <bundle.js> [...]");
+  }
+
+  const polyfillMappings = await loadPolyfillMappings();
+  const packages = collectSignatures(polyfillMappings);
+
+  if (packages.size === 0) {
+    throw new Error("No code signatures found in polyfills.json. Run 'npm run generate-code-signatures' first.");
+  }
+
+  const results = {};
+  for (const file of FILES) {
+    const source = await fs.readFile(file, "utf-8");
+    results[file] = scanSource(source, packages);
+  }
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  for (const [file, detections] of Object.entries(results)) {
+    printReport(file, detections);
+  }
+}
+
+main().catch(err => {
+  console.error("Error:", err);
+  process.exit(1);
+});
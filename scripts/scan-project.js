@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Scan a project for removable polyfills
+ *
+ * Reads a project's package.json and package-lock.json (including
+ * transitive dependencies), matches installed packages against the `npm`
+ * fields in polyfills.json, and reports each hit with its web-feature and
+ * Baseline status. Aliased installs ("foo": "npm:bar@^1.0.0") are matched
+ * by the package they install. Packages that polyfill each feature in a module of its
+ * own (core-js) aren't matched: depending on one says nothing about which
+ * features a project polyfills.
+ *
+ * When browser targets are given (with --browserslist, or from the
+ * project's own browserslist config), each hit also gets a verdict on
+ * whether the polyfill is still needed for those targets.
+ *
+ * Input: mappings/polyfills.json (or --mappings), <project>/package.json, <project>/package-lock.json
+ *
+ * Usage:
+ *   node scan-project.js [project-dir]
+ *   node scan-project.js [project-dir] --json
+ *   node scan-project.js [project-dir] --browserslist "> 0.5%, not dead"
+ *   node scan-project.js [project-dir] --fail-on-match  # Exit with 1 if any polyfill is found
+ *   node scan-project.js [project-dir] --mappings path/to/polyfills.json
+ */
+
+import { features } from "web-features";
+import browserslist from "browserslist";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getPolyfillVerdicts } from "./lib/polyfill-needs.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_MAPPINGS_PATH = path.join(__dirname, "../mappings/polyfills.json");
+const DEPENDENCY_FIELDS = ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"];
+const STATUS_ORDER = ["high", "low", false, undefined];
+
+// Get the value following a command line flag, e.g. --browserslist <query>
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  if (index === -1) return undefined;
+
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`Missing value for ${flag}`);
+  }
+  return value;
+}
+
+// Parse command line arguments
+const JSON_OUTPUT = process.argv.includes('--json');
+const FAIL_ON_MATCH = process.argv.includes('--fail-on-match');
+const BROWSERSLIST_QUERY = getArgValue('--browserslist');
+const MAPPINGS_PATH = getArgValue('--mappings') || DEFAULT_MAPPINGS_PATH;
+const PROJECT_DIR = path.resolve(
+  process.argv.slice(2).find((arg, i, args) =>
+    !arg.startsWith('--') && !['--browserslist', '--mappings'].includes(args[i - 1])
+  ) || "."
+);
+
+// Load polyfill mappings
+async function loadPolyfillMappings() {
+  const content = await fs.readFile(MAPPINGS_PATH, "utf-8");
+  return JSON.parse(content);
+}
+
+// Read a JSON file from the project, or null if it doesn't exist
+async function readProjectJson(fileName) {
+  try {
+    const content = await fs.readFile(path.join(PROJECT_DIR, fileName), "utf-8");
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Failed to read ${fileName}: ${error.message}`);
+  }
+}
+
+// Index npm packages in the mappings by name
+function indexPolyfillPackages(polyfillMappings) {
+  const index = new Map();
+
+  for (const [featureId, { fallbacks }] of Object.entries(polyfillMappings)) {
+    for (const fallback of fallbacks) {
+      // Packages with per-feature modules are only matched by import path
+      if (!fallback.npm || fallback.modules) continue;
+      if (!index.has(fallback.npm)) index.set(fallback.npm, new Set());
+      index.get(fallback.npm).add(featureId);
+    }
+  }
+
+  return index;
+}
+
+// Resolve an aliased install ("foo": "npm:bar@^1.0.0") to the package it
+// installs, as { name, version }. Other dependencies are returned as is.
+function resolveAlias(name, version) {
+  const match = typeof version === "string" && version.match(/^npm:((?:@[^@\/]+\/)?[^@]+)(?:@(.*))?$/);
+  return match ? { name: match[1], version: match[2] } : { name, version };
+}
+
+// Collect installed packages and their versions from a package-lock.json
+function collectLockfilePackages(lockfile) {
+  const installed = new Map();
+  const add = (name, version) => {
+    if (!installed.has(name)) installed.set(name, new Set());
+    if (version) installed.get(name).add(version);
+  };
+
+  if (lockfile.packages) {
+    // lockfileVersion 2 and 3: flat map keyed by node_modules path
+    for (const [key, info] of Object.entries(lockfile.packages)) {
+      if (!key.includes("node_modules/")) continue;
+      add(info.name || key.slice(key.lastIndexOf("node_modules/") + "node_modules/".length), info.version);
+    }
+  } else if (lockfile.dependencies) {
+    // lockfileVersion 1: nested dependency tree, where aliased installs
+    // are keyed by their alias and have an "npm:" version
+    const walk = dependencies => {
+      for (const [key, info] of Object.entries(dependencies)) {
+        const { name, version } = resolveAlias(key, info.version);
+        add(name, version);
+        if (info.dependencies) walk(info.dependencies);
+      }
+    };
+    walk(lockfile.dependencies);
+  }
+
+  return installed;
+}
+
+// Describe a feature's Baseline status
+function getBaselineStatus(feature) {
+  const status = feature?.status;
+  if (status?.baseline === "high") {
+    return { baseline: "high", label: "Widely available", since: status.baseline_high_date };
+  }
+  if (status?.baseline === "low") {
+    return { baseline: "low", label: "Newly available", since: status.baseline_low_date };
+  }
+  if (status?.baseline === false) {
+    return { baseline: false, label: "Limited availability", since: null };
+  }
+  return { baseline: undefined, label: "Unknown", since: null };
+}
+
+// Get the packages a project depends on directly, from its package.json
+// or the root entry of a v2/v3 lockfile (v1 lockfiles don't record them)
+function getDirectDependencies(packageJson, lockfile) {
+  const direct = new Set();
+  for (const manifest of [packageJson, lockfile?.packages?.[""]]) {
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, version] of Object.entries(manifest?.[field] || {})) {
+        direct.add(resolveAlias(name, version).name);
+      }
+    }
+  }
+  return direct;
+}
+
+// Match project dependencies against polyfill packages
+function findPolyfills(direct, installed, polyfillIndex) {
+  const names = new Set([...direct, ...installed.keys()]);
+  const hits = [];
+
+  for (const name of names) {
+    if (!polyfillIndex.has(name)) continue;
+
+    for (const featureId of polyfillIndex.get(name)) {
+      hits.push({
+        package: name,
+        versions: Array.from(installed.get(name) || []).sort(),
+        direct: direct.has(name),
+        feature: featureId,
+        name: features[featureId]?.name || featureId,
+        ...getBaselineStatus(features[featureId]),
+      });
+    }
+  }
+
+  return hits.sort((a, b) =>
+    STATUS_ORDER.indexOf(a.baseline) - STATUS_ORDER.indexOf(b.baseline) ||
+    a.package.localeCompare(b.package)
+  );
+}
+
+// Add "is this polyfill still needed?" verdicts for the project's browser targets
+function addVerdicts(hits, polyfillMappings) {
+  const query = BROWSERSLIST_QUERY || browserslist.loadConfig({ path: PROJECT_DIR });
+  if (!query) return null;
+
+  const { verdicts, targets, unknown } = getPolyfillVerdicts(polyfillMappings, query);
+  for (const hit of hits) {
+    hit.verdict = verdicts[hit.feature].verdict;
+    hit.unsupported = verdicts[hit.feature].unsupported.map(({ target }) => target);
+  }
+
+  return { query: [].concat(query).join(", "), targets, unknown };
+}
+
+// Describe a verdict for the report
+function formatVerdict(hit) {
+  if (hit.verdict === "not-needed") return "not needed for your targets";
+  if (hit.verdict === "needed") return "still needed for all of your targets";
+  if (hit.verdict === "partially-needed") return `still needed for ${hit.unsupported.join(", ")}`;
+  return "unknown for your targets";
+}
+
+// Print a human-readable report
+function printReport(hits, targets) {
+  if (hits.length === 0) {
+    console.log("✓ No known polyfills found");
+    return;
+  }
+
+  console.log(`Found ${hits.length} polyfill(s) in ${PROJECT_DIR}`);
+  if (targets) {
+    console.log(`Browser targets: ${targets.query}`);
+    if (targets.unknown.length > 0) {
+      console.log(`  ⚠ No compat data for: ${targets.unknown.join(", ")}`);
+    }
+  }
+  console.log();
+
+  for (const hit of hits) {
+    const versions = hit.versions.length > 0 ? `@${hit.versions.join(", ")}` : "";
+    const dependency = hit.direct ? "direct" : "transitive";
+    const since = hit.since ? ` since ${hit.since}` : "";
+
+    console.log(`• ${hit.package}${versions} (${dependency})`);
+    console.log(`    ${hit.name} (${hit.feature}): ${hit.label}${since}`);
+    if (hit.verdict) {
+      console.log(`    → ${formatVerdict(hit)}`);
+    }
+  }
+}
+
+// Main
+async function main() {
+  const packageJson = await readProjectJson("package.json");
+  const lockfile = await readProjectJson("package-lock.json");
+
+  if (!packageJson && !lockfile) {
+    throw new Error(`No package.json or package-lock.json found in ${PROJECT_DIR}`);
+  }
+
+  const polyfillMappings = await loadPolyfillMappings();
+  const polyfillIndex = indexPolyfillPackages(polyfillMappings);
+  const installed = lockfile ? collectLockfilePackages(lockfile) : new Map();
+
+  const direct = getDirectDependencies(packageJson, lockfile);
+  const hits = findPolyfills(direct, installed, polyfillIndex);
+  const targets = addVerdicts(hits, polyfillMappings);
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify(hits, null, 2));
+  } else {
+    printReport(hits, targets);
+  }
+
+  if (FAIL_ON_MATCH && hits.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(err => {
+  console.error("Error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+/**
+ * core-js source: the exact core-js modules for each JS feature
+ *
+ * Uses core-js-compat's list of entry points, so consumers can detect
+ * granular imports like core-js/actual/array/at. MDN links core-js by
+ * README anchor; with the default "enrich" merge policy, those links get
+ * the modules instead of a duplicate fallback.
+ */
+
+import { getCoreJSModules } from "../lib/js-polyfills.js";
+import coreJSCompat from "core-js-compat/package.json" with { type: "json" };
+
+export default {
+  name: "core-js",
+  description: "core-js modules from core-js-compat",
+
+  // Discover core-js modules for each feature
+  async discover({ features, bcd, log }) {
+    const discoveries = [];
+
+    log.log("\nDiscovering polyfills from core-js...\n");
+
+    for (const [featureId, modules] of Object.entries(getCoreJSModules({ features, bcd }))) {
+      discoveries.push({
+        feature: featureId,
+        fallback: {
+          type: "polyfill",
+          url: "https://github.com/zloirock/core-js",
+          npm: "core-js",
+          repository: "zloirock/core-js",
+          description: `Polyfill of ${features[featureId].name} in \`core-js\``,
+          modules
+        },
+        provenance: { version: coreJSCompat.version }
+      });
+      log.log(`✓ ${featureId}: ${modules.length} core-js module(s)`);
+    }
+
+    log.log(`✓ Mapped ${discoveries.length} features from core-js`);
+
+    return discoveries;
+  },
+};
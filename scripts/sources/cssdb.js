@@ -0,0 +1,58 @@
+/**
+ * cssdb source: CSS polyfills and PostCSS plugins
+ *
+ * cssdb lists polyfills for CSS features, and many of its entries name
+ * the web-feature they correspond to.
+ */
+
+import { extractNpmPackage, extractRepository } from "../lib/urls.js";
+
+export default {
+  name: "cssdb",
+  description: "CSS polyfills and PostCSS plugins listed in cssdb",
+
+  // Discover CSS polyfills from cssdb
+  async discover({ features, cssdb, log }) {
+    const discoveries = [];
+    let mapped = 0;
+
+    log.log("Discovering polyfills from cssdb...\n");
+
+    for (const cssFeature of cssdb) {
+      const { id, title, polyfills } = cssFeature;
+
+      // Skip if no polyfills
+      if (!polyfills || polyfills.length === 0) {
+        continue;
+      }
+
+      // Check if cssdb feature has a web-feature mapping
+      const webFeatureId = cssFeature['web-feature'];
+      if (!webFeatureId || !features[webFeatureId]) continue;
+
+      for (const polyfill of polyfills) {
+        const fallback = {
+          type: polyfill.type === 'PostCSS Plugin' ? 'postcss-plugin' : 'polyfill',
+          url: polyfill.link,
+          description: `${polyfill.type} for ${title}`
+        };
+
+        // Try to extract npm/repository from URL
+        const npm = extractNpmPackage(fallback.url);
+        if (npm) fallback.npm = npm;
+
+        const repository = extractRepository(fallback.url);
+        if (repository) fallback.repository = repository;
+
+        discoveries.push({ feature: webFeatureId, fallback, provenance: { id } });
+      }
+
+      mapped++;
+      log.log(`✓ ${webFeatureId}: ${polyfills.length} CSS polyfill(s)`);
+    }
+
+    log.log(`✓ Mapped ${mapped} CSS features from cssdb`);
+
+    return discoveries;
+  },
+};
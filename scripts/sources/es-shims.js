@@ -0,0 +1,70 @@
+/**
+ * es-shims source: es-shims packages for JS features
+ *
+ * Package names are derived from the spec sections of a feature's BCD
+ * keys, and only the ones listed in mappings/es-shims-packages.json (npm
+ * run generate-es-shims-packages) are kept, with the repository recorded
+ * there. Nothing is fetched, so the source also runs with --offline. The
+ * list can be passed in directly as the esShimsPackages option.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getESShimsCandidates } from "../lib/js-polyfills.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PACKAGES_PATH = path.join(__dirname, "../../mappings/es-shims-packages.json");
+
+// Load the list of es-shims packages, as { name: repository }
+async function loadESShimsPackages({ esShimsPackages }) {
+  if (esShimsPackages) return esShimsPackages;
+
+  let content;
+  try {
+    content = await fs.readFile(PACKAGES_PATH, "utf-8");
+  } catch (error) {
+    throw new Error(`Can't read the es-shims package list at ${PACKAGES_PATH} (${error.message}). Run 'npm run generate-es-shims-packages' to create it.`);
+  }
+  return JSON.parse(content);
+}
+
+export default {
+  name: "es-shims",
+  description: "es-shims packages listed in es-shims-packages.json",
+
+  // Discover es-shims packages for each feature
+  async discover(context) {
+    const { features, bcd, log } = context;
+    const discoveries = [];
+
+    log.log("\nDiscovering polyfills from es-shims...\n");
+
+    const repositories = await loadESShimsPackages(context);
+    const candidates = getESShimsCandidates({ features, bcd });
+
+    for (const [featureId, list] of Object.entries(candidates)) {
+      const found = list.filter(({ name }) => repositories[name]);
+      if (found.length === 0) continue;
+
+      for (const { name, label } of found) {
+        discoveries.push({
+          feature: featureId,
+          fallback: {
+            type: "polyfill",
+            url: `https://www.npmjs.com/package/${name}`,
+            npm: name,
+            repository: repositories[name],
+            description: `es-shims polyfill of \`${label}\``
+          },
+          provenance: {}
+        });
+      }
+      log.log(`✓ ${featureId}: ${found.length} es-shims package(s)`);
+    }
+
+    log.log(`✓ Mapped ${new Set(discoveries.map(({ feature }) => feature)).size} features from es-shims (${Object.keys(repositories).length} package(s) listed)`);
+
+    return discoveries;
+  },
+};
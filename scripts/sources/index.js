@@ -0,0 +1,134 @@
+/**
+ * Registry of polyfill discovery sources
+ *
+ * Each source is a module whose default export is an adapter:
+ *
+ *   {
+ *     name: "cssdb",
+ *     description: "CSS polyfills and PostCSS plugins listed in cssdb",
+ *     merge: "enrich",             // Optional default merge policy
+ *     async discover(context) {
+ *       return [{ feature, fallback, provenance }];
+ *     },
+ *   }
+ *
+ * `context` holds the data to discover from (`features`, `bcd`, `cssdb`),
+ * `offline`, the `packageIndex` from lib/canonicalize.js, a console-like
+ * `log` for progress output, and source options like `mdnContentPath`.
+ * `fallback` uses the polyfills.json fallback format, and `provenance`
+ * holds source-specific details of where it was found (e.g. the MDN page
+ * and section). It's recorded on the fallback as a `source` block, along
+ * with the source name and the retrieval date. To add a source, create a
+ * module in this directory and list it in SOURCES.
+ *
+ * Sources run in SOURCES order, which is also their priority: a fallback
+ * from an earlier source wins over the same fallback from a later one.
+ * How a source's fallbacks are merged into what earlier sources found is
+ * set by its merge policy:
+ * - "enrich" (default): a fallback that matches an existing one (the same
+ *   polyfill, see lib/canonicalize.js) only fills in the fields the
+ *   existing one lacks, and is listed in its `source.enriched_by`; others
+ *   are appended
+ * - "append": every fallback is appended
+ * - "fill": fallbacks are only added to features no earlier source covers
+ */
+
+import mdn from "./mdn.js";
+import cssdb from "./cssdb.js";
+import coreJS from "./core-js.js";
+import esShims from "./es-shims.js";
+import { isSameFallback } from "../lib/canonicalize.js";
+
+export const SOURCES = [mdn, cssdb, coreJS, esShims];
+
+export const MERGE_POLICIES = ["enrich", "append", "fill"];
+
+// Get sources by name, in the given order (all sources by default).
+// Adapters can be passed in place of names, to run sources that aren't
+// in SOURCES.
+export function getSources(names) {
+  if (!names) return SOURCES;
+
+  return names.map(name => {
+    if (typeof name === "object") return name;
+    const source = SOURCES.find(source => source.name === name);
+    if (!source) {
+      throw new Error(`Unknown source "${name}". Available sources: ${SOURCES.map(source => source.name).join(", ")}`);
+    }
+    return source;
+  });
+}
+
+// Merge one source's discoveries into the mappings, returning counts
+function mergeDiscoveries(mappings, source, discoveries, policy, { retrieved, packageIndex }) {
+  const counts = { added: 0, enriched: 0, skipped: 0 };
+  const coveredBefore = new Set(Object.keys(mappings));
+
+  for (const { feature, fallback, provenance } of discoveries) {
+    if (policy === "fill" && coveredBefore.has(feature)) {
+      counts.skipped++;
+      continue;
+    }
+
+    const entry = (mappings[feature] ||= { fallbacks: [] });
+
+    // A source's own fallbacks only match on the exact URL, e.g. when it
+    // lists one plugin for two of its features that map to the same web-feature
+    const existing = policy === "enrich"
+      ? entry.fallbacks.find(candidate => candidate.source.name === source.name
+        ? candidate.type === fallback.type && candidate.url === fallback.url
+        : isSameFallback(candidate, fallback, packageIndex))
+      : null;
+
+    if (!existing) {
+      entry.fallbacks.push({ ...fallback, source: { name: source.name, ...provenance, retrieved } });
+      counts.added++;
+      continue;
+    }
+
+    const missing = Object.keys(fallback).filter(key => existing[key] === undefined);
+    missing.forEach(key => { existing[key] = fallback[key]; });
+
+    if (missing.length > 0) {
+      const enrichedBy = existing.source.enriched_by || [];
+      if (!enrichedBy.includes(source.name)) {
+        existing.source.enriched_by = [...enrichedBy, source.name];
+      }
+      counts.enriched++;
+    } else {
+      counts.skipped++;
+    }
+  }
+
+  return counts;
+}
+
+// Run sources in priority order and merge their fallbacks.
+// Returns { mappings, stats }.
+export async function runSources(sources, context, policies = {}) {
+  const mappings = {};
+  const stats = [];
+  const retrieved = new Date().toISOString().split("T")[0];
+
+  for (const source of sources) {
+    const policy = policies[source.name] || source.merge || "enrich";
+    if (!MERGE_POLICIES.includes(policy)) {
+      throw new Error(`Unknown merge policy "${policy}" for ${source.name}. Use one of: ${MERGE_POLICIES.join(", ")}`);
+    }
+
+    const start = Date.now();
+    const discoveries = await source.discover(context);
+    const counts = mergeDiscoveries(mappings, source, discoveries, policy, { retrieved, packageIndex: context.packageIndex });
+
+    stats.push({
+      source: source.name,
+      policy,
+      features: new Set(discoveries.map(({ feature }) => feature)).size,
+      discovered: discoveries.length,
+      ...counts,
+      seconds: (Date.now() - start) / 1000,
+    });
+  }
+
+  return { mappings, stats };
+}
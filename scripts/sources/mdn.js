@@ -0,0 +1,225 @@
+/**
+ * MDN source: polyfills linked from MDN documentation
+ *
+ * Looks up the MDN pages of each web-feature (from the web-features MDN
+ * docs mapping, falling back to BCD's mdn_url) and extracts polyfill links
+ * from their markdown.
+ *
+ * By default, the MDN docs mapping is fetched from GitHub and the MDN
+ * content repository is cloned into mdn-content-temp/. Both can be
+ * pointed at local paths instead with the mdnDocsMappingPath and
+ * mdnContentPath options, e.g. for builds without network, and the
+ * mapping can also be passed in directly as mdnDocsMapping.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { execSync } from "child_process";
+import { extractPolyfillLinks } from "../lib/mdn-polyfills.js";
+import { extractNpmPackage, extractRepository } from "../lib/urls.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MDN_REPO = "https://github.com/mdn/content.git";
+const MDN_TEMP = path.join(__dirname, "../..", "mdn-content-temp");
+const MDN_DOCS_MAPPING_URL = "https://raw.githubusercontent.com/web-platform-dx/web-features-mappings/refs/heads/main/mappings/mdn-docs.json";
+
+// Load MDN docs mapping from a local file, or fetch it from GitHub
+async function fetchMDNDocsMapping({ offline, mdnDocsMapping, mdnDocsMappingPath, log }) {
+  if (mdnDocsMapping) return mdnDocsMapping;
+
+  let mapping;
+  if (mdnDocsMappingPath) {
+    const mappingPath = path.resolve(mdnDocsMappingPath);
+    log.log(`Loading MDN docs mapping from ${mappingPath}...`);
+    let content;
+    try {
+      content = await fs.readFile(mappingPath, "utf-8");
+    } catch (error) {
+      // fs errors start with their code, e.g. "ENOENT: no such file or directory"
+      throw new Error(`Can't read MDN docs mapping at ${mappingPath} (${error.message})`);
+    }
+    try {
+      mapping = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in MDN docs mapping ${mappingPath}: ${error.message}`);
+    }
+  } else {
+    if (offline) {
+      throw new Error("Offline mode requires a local MDN docs mapping (--mdn-docs-mapping <path>)");
+    }
+
+    log.log("Fetching MDN docs mapping...");
+    let response;
+    try {
+      response = await fetch(MDN_DOCS_MAPPING_URL);
+    } catch (error) {
+      throw new Error(`Failed to fetch MDN docs mapping from ${MDN_DOCS_MAPPING_URL} (${error.cause?.message || error.message}). Use --mdn-docs-mapping <path> to load a local copy.`);
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch MDN docs mapping: ${response.status}`);
+    }
+    mapping = await response.json();
+  }
+
+  log.log(`✓ Loaded mapping for ${Object.keys(mapping).length} features\n`);
+  return mapping;
+}
+
+// Clone MDN content repo if needed, and return its path
+async function ensureMDNContent({ offline, mdnContentPath, log }) {
+  const mdnContent = mdnContentPath ? path.resolve(mdnContentPath) : MDN_TEMP;
+  const docsPath = path.join(mdnContent, "files/en-us");
+
+  try {
+    await fs.access(docsPath);
+    log.log(mdnContentPath ? `Using MDN content from ${mdnContent}\n` : "Using cached MDN content\n");
+    return mdnContent;
+  } catch {
+    // Not available locally
+  }
+
+  if (mdnContentPath) {
+    throw new Error(`MDN content not found at ${mdnContent} (expected a files/en-us directory)`);
+  }
+  if (offline) {
+    throw new Error(`Offline mode requires local MDN content: none found at ${mdnContent}. Use --mdn-content <dir> to point at a checkout.`);
+  }
+
+  log.log("Cloning MDN content repository...");
+  execSync(`git clone --depth 1 ${MDN_REPO} ${mdnContent}`, { stdio: 'inherit' });
+  log.log("✓ Cloned\n");
+  return mdnContent;
+}
+
+// Get the commit of a git checkout of MDN content, if it is one
+function getMDNCommit(mdnContent) {
+  const git = args => execSync(`git ${args}`, { cwd: mdnContent, encoding: "utf-8", stdio: ["ignore", "pipe", "ignore"] }).trim();
+  try {
+    // Don't report the commit of a repository the content merely sits in
+    if (path.resolve(git("rev-parse --show-toplevel")) !== path.resolve(mdnContent)) return null;
+    return git("rev-parse HEAD");
+  } catch {
+    return null;
+  }
+}
+
+// Convert MDN slug to file path
+function slugToPath(slug) {
+  return slug
+    .toLowerCase()
+    .replace(/::/g, "_doublecolon_")
+    .replace(/:/g, "_colon_")
+    .replace(/\*/g, "_star_");
+}
+
+// Get MDN slug from BCD for a feature
+function getMDNSlug(featureId, { features, bcd }) {
+  const feature = features[featureId];
+  if (!feature?.compat_features?.[0]) return null;
+
+  const bcdKey = feature.compat_features[0];
+  const parts = bcdKey.split(".");
+
+  let data = bcd;
+  for (const part of parts) {
+    data = data?.[part];
+    if (!data) return null;
+  }
+
+  const url = data?.__compat?.mdn_url;
+  if (!url) return null;
+
+  // Extract slug from URL - handle both formats:
+  // https://developer.mozilla.org/en-US/docs/Web/API/IntersectionObserver
+  // https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Set/difference
+  return url
+    .replace(/^https:\/\/developer\.mozilla\.org\/(en-US\/)?docs\//, '');
+}
+
+// Parse an MDN page's markdown for polyfill links
+async function findPolyfills(mdnContent, slug) {
+  const filePath = path.join(mdnContent, "files/en-us", slugToPath(slug), "index.md");
+
+  try {
+    const content = await fs.readFile(filePath, "utf-8");
+    return extractPolyfillLinks(content).map(link => ({ ...link, slug }));
+  } catch (error) {
+    // File doesn't exist or can't be read - skip silently
+    return [];
+  }
+}
+
+export default {
+  name: "mdn",
+  description: "Polyfill links on MDN pages",
+
+  // Discover polyfills from MDN documentation
+  async discover(context) {
+    const mdnDocsMapping = await fetchMDNDocsMapping(context);
+    const mdnContent = await ensureMDNContent(context);
+    const commit = getMDNCommit(mdnContent);
+    const discoveries = [];
+    let processed = 0;
+    let found = 0;
+
+    const { features, log } = context;
+    for (const featureId of Object.keys(features).sort()) {
+      // Try MDN docs mapping first (includes API overview pages)
+      let slugs = [];
+      if (mdnDocsMapping[featureId]) {
+        slugs = mdnDocsMapping[featureId].map(doc => doc.slug);
+      } else {
+        // Fall back to BCD lookup
+        const slug = getMDNSlug(featureId, context);
+        if (slug) slugs = [slug];
+      }
+
+      if (slugs.length === 0) continue;
+
+      processed++;
+      if (processed % 50 === 0) {
+        log.log(`Processed ${processed} features, found ${found} with polyfills...`);
+      }
+
+      // Check all slugs for this feature
+      const allPolyfillLinks = [];
+      for (const slug of slugs) {
+        allPolyfillLinks.push(...await findPolyfills(mdnContent, slug));
+      }
+
+      if (allPolyfillLinks.length === 0) continue;
+
+      // Deduplicate by URL, keeping the link from the first page that has it
+      const uniqueLinks = allPolyfillLinks.filter((link, index) =>
+        allPolyfillLinks.findIndex(other => other.url === link.url) === index
+      );
+
+      for (const link of uniqueLinks) {
+        const fallback = {
+          type: "polyfill",
+          url: link.url
+        };
+
+        const npm = extractNpmPackage(link.url);
+        if (npm) fallback.npm = npm;
+
+        const repository = extractRepository(link.url);
+        if (repository) fallback.repository = repository;
+
+        if (link.text) fallback.description = link.text;
+
+        const provenance = { slug: link.slug };
+        if (link.section) provenance.section = link.section;
+        if (commit) provenance.commit = commit;
+        discoveries.push({ feature: featureId, fallback, provenance });
+      }
+
+      found++;
+      const sections = [...new Set(uniqueLinks.map(link => link.section || "(no heading)"))];
+      log.log(`✓ ${featureId}: ${uniqueLinks.length} polyfill(s) from ${sections.join(", ")}`);
+    }
+
+    return discoveries;
+  },
+};
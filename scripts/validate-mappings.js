@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Validate polyfill mappings and overrides
+ *
+ * Checks mappings/polyfills.json and mappings/polyfills-overrides.json
+ * against their JSON Schemas, and for unknown web-features IDs, duplicate
+ * URLs, npm names that don't match their URL, and conflicting
+ * replace/exclude settings. Exits with 1 if any problem is found.
+ *
+ * Input: mappings/polyfills.json, mappings/polyfills-overrides.json
+ *
+ * Usage:
+ *   node validate-mappings.js
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  POLYFILLS_FILE,
+  OVERRIDES_FILE,
+  validatePolyfills,
+  validateOverrides,
+  formatProblem,
+} from "./lib/validation.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load a mappings file
+async function loadMappingsFile(fileName) {
+  const filePath = path.join(__dirname, "../mappings", fileName);
+  const content = await fs.readFile(filePath, "utf-8");
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`mappings/${fileName} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Main
+async function main() {
+  const problems = [
+    ...await validatePolyfills(await loadMappingsFile(POLYFILLS_FILE)),
+    ...await validateOverrides(await loadMappingsFile(OVERRIDES_FILE)),
+  ];
+
+  if (problems.length === 0) {
+    console.log(`✓ ${POLYFILLS_FILE} and ${OVERRIDES_FILE} are valid`);
+    return;
+  }
+
+  for (const problem of problems) {
+    console.error(`✗ ${formatProblem(problem)}`);
+  }
+  console.error(`\n${problems.length} problem(s) found`);
+  process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error("Error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { rollup } from "rollup";
+import { nodeResolve } from "@rollup/plugin-node-resolve";
+import webpack from "webpack";
+import { polyfillsRollupPlugin, PolyfillsWebpackPlugin } from "../scripts/lib/bundler-plugin.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// A project whose node_modules holds stand-ins for the polyfill packages
+const PROJECT_DIR = path.join(__dirname, "fixtures/bundler");
+const TARGETS = "chrome 120, firefox 120, safari 17";
+const quiet = { log() {}, warn() {} };
+
+// Make a temporary directory for build output, removed after the test
+async function makeTempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "polyfills-bundler-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Bundle src/index.js with Rollup, returning the code, warnings and report
+async function buildWithRollup(t, options) {
+  const dir = await makeTempDir(t);
+  const warnings = [];
+  const bundle = await rollup({
+    input: path.join(PROJECT_DIR, "src/index.js"),
+    plugins: [
+      polyfillsRollupPlugin({ targets: TARGETS, root: PROJECT_DIR, report: path.join(dir, "report.json"), log: quiet, ...options }),
+      nodeResolve(),
+    ],
+    onwarn: warning => warnings.push(warning),
+  });
+  const { output } = await bundle.generate({ format: "es" });
+  await bundle.close();
+
+  const report = JSON.parse(await fs.readFile(path.join(dir, "report.json"), "utf-8"));
+  return { code: output[0].code, warnings, report };
+}
+
+// Bundle src/index.cjs with webpack, returning the code, warnings and report
+async function buildWithWebpack(t, options) {
+  const dir = await makeTempDir(t);
+  const compiler = webpack({
+    mode: "none",
+    context: PROJECT_DIR,
+    entry: "./src/index.cjs",
+    output: { path: dir, filename: "main.js" },
+    plugins: [new PolyfillsWebpackPlugin({ targets: TARGETS, report: path.join(dir, "report.json"), log: quiet, ...options })],
+  });
+  const stats = await new Promise((resolve, reject) => {
+    compiler.run((error, stats) => error ? reject(error) : resolve(stats));
+  });
+  await new Promise(resolve => compiler.close(resolve));
+  assert.deepEqual(stats.compilation.errors, []);
+
+  return {
+    code: await fs.readFile(path.join(dir, "main.js"), "utf-8"),
+    warnings: stats.compilation.warnings,
+    report: JSON.parse(await fs.readFile(path.join(dir, "report.json"), "utf-8")),
+  };
+}
+
+// Sum up each polyfill in a report as "specifier: removed"
+function summarize(report) {
+  return Object.fromEntries(report.polyfills.map(polyfill => [polyfill.specifier, polyfill.removed]));
+}
+
+test("Rollup: unneeded polyfills are reported, with their size", async t => {
+  const { code, warnings, report } = await buildWithRollup(t, { mode: "warn" });
+
+  assert.deepEqual(summarize(report), { "array.prototype.at": false, "intersection-observer": false });
+  assert.deepEqual(report.polyfills[1].features, ["intersection-observer"]);
+  assert.deepEqual(report.polyfills[1].importers, ["src/index.js"]);
+  assert.ok(report.polyfills.every(polyfill => polyfill.bytes > 0));
+  assert.equal(report.bytes, report.polyfills[0].bytes + report.polyfills[1].bytes);
+  assert.match(code, /globalThis\.IntersectionObserver/);
+  assert.ok(warnings.some(warning => /2 polyfill\(s\) not needed for your targets/.test(warning.message)));
+});
+
+test("Rollup: side-effect-only imports are removed, imports with bindings are kept", async t => {
+  const { code, report } = await buildWithRollup(t, { mode: "remove" });
+
+  assert.deepEqual(summarize(report), { "array.prototype.at": false, "intersection-observer": true });
+  assert.ok(report.polyfills[1].bytes > 0);
+  assert.equal(report.bytes, report.polyfills[1].bytes);
+  assert.doesNotMatch(code, /IntersectionObserver/);
+  assert.match(code, /function at\(/);
+  // Still needed for the targets
+  assert.match(code, /globalThis\.Temporal/);
+});
+
+test("Rollup: polyfill imports that don't resolve are warned about", async t => {
+  const { warnings } = await buildWithRollup(t, { mode: "remove" });
+
+  const warning = warnings.find(warning => warning.plugin === "web-features-polyfills" && /globalthis/.test(warning.message));
+  assert.match(warning.message, /"globalthis" polyfills globalthis, not needed for your targets, but can't be resolved from src\/index\.js/);
+});
+
+test("webpack: unneeded polyfills are reported, with their size", async t => {
+  const { code, warnings, report } = await buildWithWebpack(t, { mode: "warn" });
+
+  assert.deepEqual(summarize(report), { "array.prototype.at": false, "intersection-observer": false });
+  assert.deepEqual(report.polyfills[1].importers, ["src/index.cjs"]);
+  assert.ok(report.polyfills.every(polyfill => polyfill.bytes > 0));
+  assert.match(code, /globalThis\.IntersectionObserver/);
+  assert.ok(warnings.some(warning => /2 polyfill\(s\) not needed for your targets/.test(warning.message)));
+});
+
+test("webpack: side-effect-only require() calls are removed, bound ones are kept", async t => {
+  const { code, report } = await buildWithWebpack(t, { mode: "remove" });
+
+  assert.deepEqual(summarize(report), { "array.prototype.at": false, "intersection-observer": true });
+  assert.ok(report.polyfills[1].bytes > 0);
+  assert.equal(report.bytes, report.polyfills[1].bytes);
+  assert.doesNotMatch(code, /IntersectionObserver/);
+  assert.match(code, /function at\(/);
+  assert.match(code, /globalThis\.Temporal/);
+});
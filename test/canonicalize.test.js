@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalizeFallbacks, createPackageIndex, isSameFallback } from "../scripts/lib/canonicalize.js";
+
+test("fallbacks sharing a URL key are merged into the first one", () => {
+  const { fallbacks, merges } = canonicalizeFallbacks([
+    { type: "polyfill", url: "https://www.npmjs.com/package/foo", source: { name: "mdn" } },
+    { type: "polyfill", url: "http://npmjs.com/package/foo/#readme", description: "Polyfill for foo", source: { name: "web-features-mappings" } },
+  ]);
+
+  assert.deepEqual(fallbacks, [{
+    type: "polyfill",
+    url: "https://www.npmjs.com/package/foo",
+    description: "Polyfill for foo",
+    source: { name: "mdn", enriched_by: ["web-features-mappings"] },
+  }]);
+  assert.deepEqual(merges, [{
+    kept: "https://www.npmjs.com/package/foo",
+    dropped: "https://www.npmjs.com/package/foo#readme",
+    reason: "same page",
+    sources: ["mdn", "web-features-mappings"],
+  }]);
+});
+
+test("fallbacks sharing an npm package are merged", () => {
+  const { fallbacks, merges } = canonicalizeFallbacks([
+    { type: "polyfill", url: "https://www.npmjs.com/package/foo", npm: "foo" },
+    { type: "polyfill", url: "https://unpkg.com/foo", npm: "foo", description: "Polyfill for foo" },
+  ]);
+
+  assert.equal(fallbacks.length, 1);
+  assert.equal(fallbacks[0].url, "https://www.npmjs.com/package/foo");
+  assert.equal(fallbacks[0].description, "Polyfill for foo");
+  assert.equal(merges[0].reason, "same npm package");
+});
+
+test("an npm page and its GitHub repository are merged through the package index", () => {
+  const packageIndex = createPackageIndex({ foo: { repository: "Owner/Foo" } });
+  const npmFallback = { type: "polyfill", url: "https://www.npmjs.com/package/foo", npm: "foo" };
+  const githubFallback = { type: "polyfill", url: "https://github.com/owner/foo/" };
+
+  assert.ok(isSameFallback(npmFallback, githubFallback, packageIndex));
+  assert.ok(!isSameFallback(npmFallback, githubFallback));
+
+  const { fallbacks, merges } = canonicalizeFallbacks([npmFallback, githubFallback], packageIndex);
+  assert.deepEqual(fallbacks, [npmFallback]);
+  assert.equal(merges[0].reason, "same repository");
+});
+
+test("a fallback's own repository field is used for packages missing from the index", () => {
+  const { fallbacks } = canonicalizeFallbacks([
+    { type: "polyfill", url: "https://github.com/owner/foo" },
+    { type: "polyfill", url: "https://www.npmjs.com/package/foo", npm: "foo", repository: "owner/foo" },
+  ]);
+
+  assert.equal(fallbacks.length, 1);
+  assert.equal(fallbacks[0].url, "https://github.com/owner/foo");
+  assert.equal(fallbacks[0].npm, "foo");
+});
+
+test("plugins of a monorepo and fallbacks of different types stay apart", () => {
+  const { fallbacks } = canonicalizeFallbacks([
+    { type: "postcss-plugin", url: "https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-nesting" },
+    { type: "postcss-plugin", url: "https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-is-pseudo-class" },
+    { type: "polyfill", url: "https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-nesting" },
+  ]);
+
+  assert.equal(fallbacks.length, 3);
+});
+
+test("core-js anchors are kept on the merged fallback, and modules are combined", () => {
+  const { fallbacks } = canonicalizeFallbacks([
+    { type: "polyfill", url: "https://github.com/zloirock/core-js#ecmascript-array", npm: "core-js", modules: ["es.array.at"] },
+    { type: "polyfill", url: "https://github.com/zloirock/core-js/#ecmascript-typed-arrays", npm: "core-js", modules: ["es.typed-array.at"] },
+  ]);
+
+  assert.deepEqual(fallbacks, [{
+    type: "polyfill",
+    url: "https://github.com/zloirock/core-js#ecmascript-array",
+    npm: "core-js",
+    modules: ["es.array.at", "es.typed-array.at"],
+  }]);
+});
+
+test("a description that extends the kept one replaces it, a different one doesn't", () => {
+  const { fallbacks } = canonicalizeFallbacks([
+    { type: "polyfill", url: "https://www.npmjs.com/package/foo", description: "Polyfill for foo" },
+    { type: "polyfill", url: "https://www.npmjs.com/package/foo", description: "Polyfill for foo, load it before your app" },
+    { type: "polyfill", url: "https://www.npmjs.com/package/foo", description: "A much longer but unrelated description of the package" },
+  ]);
+
+  assert.equal(fallbacks[0].description, "Polyfill for foo, load it before your app");
+});
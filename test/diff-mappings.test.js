@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIFF_SCRIPT = path.join(__dirname, "../scripts/diff-mappings.js");
+// Two generations of mappings/, with polyfills.json and npm-stats.json
+const FIXTURES_DIR = path.join(__dirname, "fixtures/diff");
+
+// Run diff-mappings.js on the old and new fixture generations
+async function diff(...args) {
+  const { stdout } = await promisify(execFile)(process.execPath, [DIFF_SCRIPT, "old", "new", ...args], { cwd: FIXTURES_DIR });
+  return stdout;
+}
+
+test("features added and removed are listed with their fallbacks", async () => {
+  const changelog = JSON.parse(await diff("--json"));
+
+  assert.equal(changelog.from, "old");
+  assert.equal(changelog.to, "new");
+  assert.deepEqual(changelog.featuresAdded.map(({ feature, fallbacks }) => [feature, fallbacks.length]), [["new-feature", 1]]);
+  assert.deepEqual(changelog.featuresRemoved.map(({ feature, fallbacks }) => [feature, fallbacks.length]), [["old-feature", 1]]);
+});
+
+test("fallbacks are matched by npm package or URL key, so normalized URLs aren't changes", async () => {
+  const { fallbacksChanged } = JSON.parse(await diff("--json"));
+
+  assert.deepEqual(fallbacksChanged.map(({ feature, added, removed }) => ({
+    feature,
+    added: added.map(fallback => fallback.url),
+    removed: removed.map(fallback => fallback.url),
+  })), [{
+    feature: "intl-locale",
+    added: ["https://www.npmjs.com/package/intl-locale-lite"],
+    removed: ["https://github.com/example/old-intl-locale"],
+  }]);
+});
+
+test("Baseline status moves say when polyfills became removable", async () => {
+  const { statusChanged } = JSON.parse(await diff("--json"));
+
+  assert.deepEqual(statusChanged, [
+    { feature: "intl-locale", from: "low", to: "high", since: "2023-03-16", removable: true },
+  ]);
+});
+
+test("download deltas are sorted by size, with n/a for packages in one generation only", async () => {
+  const { downloads } = JSON.parse(await diff("--json"));
+
+  assert.deepEqual(downloads, [
+    { package: "@formatjs/intl-locale", before: 1000, after: 1500, change: 500 },
+    { package: "intl-locale-lite", before: null, after: 20, change: null },
+    { package: "old-feature-polyfill", before: 50, after: null, change: null },
+  ]);
+});
+
+test("the Markdown changelog has a section per kind of change", async () => {
+  const markdown = await diff();
+
+  assert.match(markdown, /^## Polyfill dataset changes\n\nComparing `old` → `new`\n/);
+  assert.match(markdown, /### Features added \(1\)\n\n- `new-feature` \(1 fallback\(s\)\)\n/);
+  assert.match(markdown, /### Features removed \(1\)\n\n- `old-feature` \(1 fallback\(s\)\)\n/);
+  assert.match(markdown, /- `intl-locale`\n  - Added: \[`intl-locale-lite`\]\(https:\/\/www\.npmjs\.com\/package\/intl-locale-lite\) \(polyfill\)\n  - Removed: \[Unmaintained polyfill\]\(https:\/\/github\.com\/example\/old-intl-locale\) \(polyfill\)\n/);
+  assert.match(markdown, /- `intl-locale`: newly available → widely available \(since 2023-03-16\) — polyfills are now removable for most sites\n/);
+  assert.match(markdown, /\| `@formatjs\/intl-locale` \| 1,000 \| 1,500 \| \+500 \|\n/);
+  assert.doesNotMatch(markdown, /unchanged/);
+});
+
+test("comparing a generation with itself reports no changes", async () => {
+  const { stdout } = await promisify(execFile)(process.execPath, [DIFF_SCRIPT, "new", "new"], { cwd: FIXTURES_DIR });
+  assert.match(stdout, /No changes\./);
+});
@@ -0,0 +1,5 @@
+require("intersection-observer");
+const at = require("array.prototype.at");
+require("temporal-polyfill");
+
+console.log(at([1, 2, 3], -1));
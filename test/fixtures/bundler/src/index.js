@@ -0,0 +1,6 @@
+import "intersection-observer";
+import at from "array.prototype.at";
+import "temporal-polyfill";
+import "globalthis";
+
+console.log(at([1, 2, 3], -1));
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCRIPT = path.join(__dirname, "../scripts/generate-es-shims-packages.js");
+
+// Answer /<name>/latest requests like the registry, with a manifest from
+// `manifests`, a 500 for names in `failing` and a 404 for anything else
+async function startStubRegistry(manifests, failing) {
+  const server = createServer((request, response) => {
+    const name = decodeURIComponent(request.url.split("/")[1]);
+    if (failing.includes(name)) {
+      response.statusCode = 500;
+      response.end();
+    } else if (manifests[name]) {
+      response.setHeader("content-type", "application/json");
+      response.end(JSON.stringify({ name, ...manifests[name] }));
+    } else {
+      response.statusCode = 404;
+      response.end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    registry: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+// Run the script, resolving with its exit code and output
+function run(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test("packages that can't be looked up keep their previous entry", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "es-shims-packages-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const output = path.join(dir, "es-shims-packages.json");
+  await fs.writeFile(output, JSON.stringify({
+    "array.prototype.at": "es-shims/Array.prototype.at",
+    "object.assign": "ljharb/object.assign",
+  }));
+
+  const stub = await startStubRegistry({
+    "array.prototype.at": { repository: { type: "git", url: "git+https://github.com/es-shims/Array.prototype.at.git" } },
+    "globalthis": { repository: "https://github.com/ljharb/System.global" },
+    "object.fromentries": { repository: "https://github.com/someone-else/object.fromentries" },
+  }, ["object.assign"]);
+  t.after(stub.close);
+
+  const { code, stderr } = await run(["--registry", stub.registry, "--output", output, "--concurrency", "4"]);
+
+  assert.equal(code, 1);
+  assert.match(stderr, /Failed to check 1 package\(s\), kept as previously listed: object\.assign/);
+  assert.deepEqual(JSON.parse(await fs.readFile(output, "utf-8")), {
+    "array.prototype.at": "es-shims/Array.prototype.at",
+    "globalthis": "ljharb/System.global",
+    "object.assign": "ljharb/object.assign",
+  });
+});
@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { generateMappings } from "../scripts/lib/mappings.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// cssdb entries for nesting, is, has and container-queries, and one
+// without a web-feature
+const cssdb = JSON.parse(await fs.readFile(path.join(__dirname, "fixtures/mappings/cssdb.json"), "utf-8"));
+const quiet = { log() {}, warn() {}, error() {} };
+
+const CONTAINER_QUERY_POLYFILL = "https://github.com/GoogleChromeLabs/container-query-polyfill";
+
+// Generate mappings from the cssdb fixture with the given overrides
+function generate(overrides) {
+  return generateMappings({ sources: ["cssdb"], cssdb, overrides, log: quiet });
+}
+
+// Sum up a feature's fallbacks as "type url (source)"
+function summarize(entry) {
+  return entry.fallbacks.map(({ type, url, source }) => `${type} ${url} (${source.name})`);
+}
+
+test("without overrides, the discovered fallbacks are kept", async () => {
+  const { mappings, stale } = await generate({});
+
+  assert.deepEqual(Object.keys(mappings).sort(), ["container-queries", "has", "is", "nesting"]);
+  assert.deepEqual(summarize(mappings.has), [
+    "polyfill https://www.npmjs.com/package/css-has-pseudo (cssdb)",
+    "postcss-plugin https://www.npmjs.com/package/postcss-has-pseudo (cssdb)",
+  ]);
+  assert.deepEqual(stale, []);
+});
+
+test("augment mode appends override fallbacks and sets feature metadata", async () => {
+  const { mappings, stale } = await generate({
+    "container-queries": {
+      use_case: "Style elements based on the size of their container",
+      fallbacks: [{ type: "polyfill", url: "https://www.npmjs.com/package/cqfill", npm: "cqfill" }],
+    },
+  });
+
+  assert.equal(mappings["container-queries"].use_case, "Style elements based on the size of their container");
+  assert.deepEqual(summarize(mappings["container-queries"]), [
+    `polyfill ${CONTAINER_QUERY_POLYFILL} (cssdb)`,
+    "polyfill https://www.npmjs.com/package/cqfill (overrides)",
+  ]);
+  assert.deepEqual(stale, []);
+});
+
+test("augment mode adds features no source covers", async () => {
+  const { mappings } = await generate({
+    "dialog": {
+      fallbacks: [{ type: "polyfill", url: "https://www.npmjs.com/package/dialog-polyfill", npm: "dialog-polyfill" }],
+    },
+  });
+
+  assert.deepEqual(summarize(mappings.dialog), ["polyfill https://www.npmjs.com/package/dialog-polyfill (overrides)"]);
+});
+
+test("replace mode drops the discovered fallbacks", async () => {
+  const { mappings } = await generate({
+    "nesting": {
+      replace: true,
+      fallbacks: [{ type: "postcss-plugin", url: "https://www.npmjs.com/package/postcss-nested", npm: "postcss-nested" }],
+    },
+  });
+
+  assert.deepEqual(summarize(mappings.nesting), ["postcss-plugin https://www.npmjs.com/package/postcss-nested (overrides)"]);
+});
+
+test("exclude mode removes the feature", async () => {
+  const { mappings, stale } = await generate({ "is": { exclude: true } });
+
+  assert.equal(mappings.is, undefined);
+  assert.deepEqual(stale, []);
+});
+
+test("remove drops matching fallbacks, and the feature once none are left", async () => {
+  const { mappings, stale } = await generate({
+    "has": { remove: [{ npm: "postcss-has-pseudo" }] },
+    "container-queries": { remove: [{ url: `${CONTAINER_QUERY_POLYFILL}/#readme` }] },
+  });
+
+  assert.deepEqual(summarize(mappings.has), ["polyfill https://www.npmjs.com/package/css-has-pseudo (cssdb)"]);
+  assert.equal(mappings["container-queries"], undefined);
+  assert.deepEqual(stale, []);
+});
+
+test("patch changes matching fallbacks and records the override in enriched_by", async () => {
+  const { mappings, stale } = await generate({
+    "container-queries": {
+      patch: [{ url: CONTAINER_QUERY_POLYFILL, set: { description: "Container queries polyfill by Google Chrome Labs" } }],
+    },
+  });
+
+  const [fallback] = mappings["container-queries"].fallbacks;
+  assert.equal(fallback.description, "Container queries polyfill by Google Chrome Labs");
+  assert.equal(fallback.source.name, "cssdb");
+  assert.deepEqual(fallback.source.enriched_by, ["overrides"]);
+  assert.deepEqual(stale, []);
+});
+
+test("remove and patch that match no fallback are stale, not errors", async () => {
+  const { mappings, stale } = await generate({
+    "has": {
+      remove: [{ npm: "no-longer-listed" }],
+      patch: [{ url: "https://example.com/gone", set: { description: "Gone" } }],
+    },
+    "dialog": { remove: [{ npm: "dialog-polyfill" }] },
+  });
+
+  assert.equal(mappings.has.fallbacks.length, 2);
+  assert.equal(mappings.dialog, undefined);
+  assert.deepEqual(stale, [
+    'has.remove[0]: no fallback matches {"npm":"no-longer-listed"}',
+    'has.patch[0]: no fallback matches {"url":"https://example.com/gone"}',
+    'dialog: "remove" and "patch" have no auto-discovered fallbacks to change',
+  ]);
+});
+
+test("patches the generated data already applies are stale", async () => {
+  const { stale } = await generate({
+    "has": { patch: [{ npm: "css-has-pseudo", set: { description: "JavaScript Library for `:has()` Relational Pseudo-Class" } }] },
+  });
+
+  assert.deepEqual(stale, ["has.patch[0]: already applied by the generated data, can be removed"]);
+});
+
+test("excluding a feature that isn't discovered is stale", async () => {
+  const { stale } = await generate({ "dialog": { exclude: true } });
+
+  assert.deepEqual(stale, ['dialog: "exclude" has nothing to exclude']);
+});
+
+test("override fallbacks that a source now discovers are stale", async () => {
+  const { mappings, stale } = await generate({
+    "nesting": {
+      fallbacks: [{ type: "postcss-plugin", url: "https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-nesting/" }],
+    },
+  });
+
+  assert.deepEqual(summarize(mappings.nesting), [
+    "postcss-plugin https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-nesting (cssdb)",
+  ]);
+  assert.deepEqual(stale, [
+    "nesting: https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-nesting is now discovered by cssdb, the override fallback can be removed",
+  ]);
+});
+
+test("overrides with conflicting modes are refused", async () => {
+  await assert.rejects(
+    generate({ "is": { exclude: true, replace: true } }),
+    /Invalid overrides \(1 problem\(s\)\)/
+  );
+});
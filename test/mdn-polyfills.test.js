@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { extractPolyfillLinks } from "../scripts/lib/mdn-polyfills.js";
+import { generateMappings } from "../scripts/lib/mappings.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// A few pages laid out like an mdn/content checkout, and a web-features
+// MDN docs mapping that points features at them
+const MDN_CONTENT = path.join(__dirname, "fixtures/mdn-content");
+const MDN_DOCS_MAPPING = path.join(__dirname, "fixtures/mdn-docs.json");
+
+// Extract the polyfill links of a fixture page in fixtures/mdn/
+async function extractFixture(name) {
+  const markdown = await fs.readFile(path.join(__dirname, "fixtures/mdn", name), "utf-8");
+  return extractPolyfillLinks(markdown);
+}
+
+test("reference-style links are resolved through their definitions", async () => {
+  assert.deepEqual(await extractFixture("reference-links.md"), [
+    {
+      url: "https://github.com/zloirock/core-js#relative-indexing-method",
+      text: "Polyfill of `Array.prototype.at` in `core-js`",
+      section: "See also",
+    },
+    {
+      url: "https://www.npmjs.com/package/array.prototype.at",
+      text: "es-shims polyfill of `Array.prototype.at`",
+      section: "See also",
+    },
+  ]);
+});
+
+test("macros are rendered to their link text, and notes are found outside See also", async () => {
+  assert.deepEqual(await extractFixture("macros.md"), [
+    {
+      url: "https://github.com/zloirock/core-js#structuredclone",
+      text: "A polyfill for structuredClone() is available in core-js.",
+      section: "Description",
+    },
+  ]);
+});
+
+test("links in code blocks and links to MDN are ignored", async () => {
+  const urls = (await extractFixture("macros.md")).map(link => link.url);
+  assert.ok(!urls.includes("https://example.com/polyfill.js"));
+  assert.ok(!urls.some(url => url.startsWith("/")));
+});
+
+test("every external link counts in a Polyfill section, elsewhere only polyfill mentions do", async () => {
+  assert.deepEqual(await extractFixture("polyfill-section.md"), [
+    {
+      url: "https://github.com/iamdustan/smoothscroll",
+      text: "smoothscroll for the `behavior` option",
+      section: "Polyfill",
+    },
+    {
+      url: "https://github.com/example/scroll-shim",
+      text: "Browsers without smooth scrolling can load a scrolling shim, which is a polyfill.",
+      section: "Examples",
+    },
+    {
+      url: "https://www.npmjs.com/package/scroll-behavior",
+      text: "scroll-behavior on npm",
+      section: "See also",
+    },
+  ]);
+});
+
+test("front matter isn't mistaken for a heading", () => {
+  const markdown = "---\ntitle: Polyfill\n---\n\nSee [the spec](https://example.com/spec).\n";
+  assert.deepEqual(extractPolyfillLinks(markdown), []);
+});
+
+// Run the MDN source over the fixture checkout. backdrop has no docs
+// mapping, so its page is found through BCD's mdn_url.
+function generateFromMDN() {
+  const features = {
+    "array-at": { compat_features: ["javascript.builtins.Array.at"] },
+    "backdrop": { compat_features: ["css.selectors.backdrop"] },
+    "intersection-observer": { compat_features: ["api.IntersectionObserver"] },
+    // Mapped to a page without polyfill links
+    "scroll-into-view": { compat_features: ["api.Element.scrollIntoView"] },
+    // Mapped to a page missing from the checkout
+    "view-transitions": { compat_features: ["api.ViewTransition"] },
+    // Neither mapped nor in BCD
+    "no-docs": { compat_features: ["api.NotInBcd"] },
+  };
+  const bcd = {
+    css: { selectors: { backdrop: { __compat: { mdn_url: "https://developer.mozilla.org/docs/Web/CSS/::backdrop" } } } },
+  };
+
+  return generateMappings({
+    sources: ["mdn"],
+    features,
+    bcd,
+    offline: true,
+    mdnDocsMappingPath: MDN_DOCS_MAPPING,
+    mdnContentPath: MDN_CONTENT,
+    log: { log() {}, warn() {}, error() {} },
+  });
+}
+
+// Sum up fallbacks as "url (slug, section)"
+function summarize(fallbacks) {
+  return fallbacks.map(({ url, source }) => `${url} (${source.slug}, ${source.section})`);
+}
+
+test("a content checkout is scanned page by page, for the features its slugs belong to", async () => {
+  const { mappings, stats } = await generateFromMDN();
+
+  assert.deepEqual(Object.keys(mappings), ["array-at", "backdrop", "intersection-observer"]);
+  assert.deepEqual(summarize(mappings["intersection-observer"].fallbacks), [
+    "https://www.npmjs.com/package/intersection-observer (Web/API/IntersectionObserver, See also)",
+  ]);
+  assert.deepEqual(stats.map(({ source, features, discovered }) => ({ source, features, discovered })), [
+    { source: "mdn", features: 3, discovered: 4 },
+  ]);
+});
+
+test("slugs from BCD's mdn_url are mapped to content paths", async () => {
+  const { mappings } = await generateFromMDN();
+
+  assert.deepEqual(mappings.backdrop.fallbacks, [{
+    type: "polyfill",
+    url: "https://github.com/GoogleChrome/dialog-polyfill",
+    repository: "GoogleChrome/dialog-polyfill",
+    description: "dialog-polyfill also styles a `::backdrop` for dialogs",
+    source: { name: "mdn", slug: "Web/CSS/::backdrop", section: "Polyfill", retrieved: mappings.backdrop.fallbacks[0].source.retrieved },
+  }]);
+});
+
+test("links on several pages of a feature are found once, on the first page", async () => {
+  const { mappings } = await generateFromMDN();
+  const [coreJS, esShims] = mappings["array-at"].fallbacks;
+
+  assert.deepEqual(summarize(mappings["array-at"].fallbacks), [
+    "https://github.com/zloirock/core-js#relative-indexing-method (Web/JavaScript/Reference/Global_Objects/Array/at, See also)",
+    "https://www.npmjs.com/package/array.prototype.at (Web/JavaScript/Reference/Global_Objects/TypedArray/at, See also)",
+  ]);
+  assert.equal(coreJS.description, "Polyfill of `Array.prototype.at` in `core-js`");
+  assert.equal(coreJS.repository, "zloirock/core-js");
+  assert.equal(esShims.npm, "array.prototype.at");
+});
+
+test("a missing content checkout is an error", async () => {
+  await assert.rejects(
+    generateMappings({ sources: ["mdn"], features: {}, offline: true, mdnDocsMapping: {}, mdnContentPath: path.join(MDN_CONTENT, "files"), log: { log() {} } }),
+    /MDN content not found at .*files \(expected a files\/en-us directory\)/
+  );
+});
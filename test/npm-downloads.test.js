@@ -0,0 +1,269 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  createDownloadsClient,
+  getBackfillRange,
+  planBatches,
+  runWithConcurrency,
+} from "../scripts/lib/npm-downloads.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STATS_SCRIPT = path.join(__dirname, "../scripts/generate-npm-stats.js");
+const quiet = { log() {}, warn() {} };
+
+// List the days of a "YYYY-MM-DD:YYYY-MM-DD" range, one download each
+function getDays(range) {
+  const [start, end] = range.split(":");
+  const days = [];
+  for (let day = new Date(start); day <= new Date(end); day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push({ day: day.toISOString().split("T")[0], downloads: 1 });
+  }
+  return days;
+}
+
+// Answer /range/<range>/<names> requests like the downloads API. `handle`
+// can answer a request itself by returning true.
+async function startStubServer(handle = () => false) {
+  const requests = [];
+  const server = createServer((request, response) => {
+    const [, kind, range, names] = request.url.split("/");
+    const packages = names.split(",").map(decodeURIComponent);
+    requests.push({ kind, range, packages });
+    if (handle(request, response, packages)) return;
+
+    const result = range => ({ start: range.split(":")[0], end: range.split(":")[1], downloads: getDays(range) });
+    const body = packages.length === 1
+      ? { package: packages[0], ...result(range) }
+      : Object.fromEntries(packages.map(name => [name, result(range)]));
+    response.setHeader("content-type", "application/json");
+    response.end(JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+test("planBatches requests unscoped packages in bulk and scoped ones alone", () => {
+  const batches = planBatches(["a", "@scope/b", "c", "d", "@scope/e"], 2);
+  assert.deepEqual(batches, [["a", "c"], ["d"], ["@scope/b"], ["@scope/e"]]);
+});
+
+test("weeks run Sunday to Saturday and end with the last complete week", () => {
+  // 2026-10-21 is a Wednesday
+  const now = new Date("2026-10-21T12:00:00Z");
+  assert.equal(getBackfillRange(1, now), "2026-10-11:2026-10-17");
+  assert.equal(getBackfillRange(2, now), "2026-10-04:2026-10-17");
+  // On a Sunday, Saturday is yesterday
+  assert.equal(getBackfillRange(1, new Date("2026-10-25T00:30:00Z")), "2026-10-18:2026-10-24");
+});
+
+test("the last week lines up with the last backfilled week", async () => {
+  const server = await startStubServer();
+  try {
+    const client = createDownloadsClient({ baseUrl: server.baseUrl, log: quiet });
+    const backfill = (await client.fetchWeeks(["a", "b"], 4)).get("a");
+    const lastWeek = (await client.fetchLastWeek(["a", "b"])).get("a");
+
+    assert.equal(backfill.length, 4);
+    assert.deepEqual(lastWeek, [backfill.at(-1)]);
+    assert.deepEqual(lastWeek, [{ ...lastWeek[0], downloads: 7 }]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("bulk requests are split per package, and scoped packages aren't keyed", async () => {
+  const server = await startStubServer();
+  try {
+    const client = createDownloadsClient({ baseUrl: server.baseUrl, log: quiet });
+    const bulk = await client.fetchLastWeek(["a", "b"]);
+    const scoped = await client.fetchLastWeek(["@scope/c"]);
+
+    assert.deepEqual([...bulk.keys()], ["a", "b"]);
+    assert.equal(bulk.get("b")[0].downloads, 7);
+    assert.equal(scoped.get("@scope/c")[0].downloads, 7);
+    assert.deepEqual(server.requests.map(({ packages }) => packages), [["a", "b"], ["@scope/c"]]);
+  } finally {
+    await server.close();
+  }
+});
+
+test("packages the API doesn't know are null", async () => {
+  const server = await startStubServer((request, response, packages) => {
+    if (packages[0] !== "missing") return false;
+    response.statusCode = 404;
+    response.end("{}");
+    return true;
+  });
+  try {
+    const client = createDownloadsClient({ baseUrl: server.baseUrl, log: quiet });
+    assert.equal((await client.fetchLastWeek(["missing"])).get("missing"), null);
+  } finally {
+    await server.close();
+  }
+});
+
+test("rate-limited requests wait for Retry-After and are retried", async () => {
+  let limited = false;
+  const server = await startStubServer((request, response) => {
+    if (limited) return false;
+    limited = true;
+    response.statusCode = 429;
+    response.setHeader("retry-after", "1");
+    response.end();
+    return true;
+  });
+  try {
+    const client = createDownloadsClient({ baseUrl: server.baseUrl, log: quiet });
+    const start = Date.now();
+    const results = await client.fetchLastWeek(["a", "b"]);
+
+    assert.equal(server.requests.length, 2);
+    assert.ok(Date.now() - start >= 1000, "waited for Retry-After");
+    assert.equal(results.get("a")[0].downloads, 7);
+  } finally {
+    await server.close();
+  }
+});
+
+test("requests give up after maxRetries rate limits", async () => {
+  const server = await startStubServer((request, response) => {
+    response.statusCode = 429;
+    response.setHeader("retry-after", "0");
+    response.end();
+    return true;
+  });
+  try {
+    const client = createDownloadsClient({ baseUrl: server.baseUrl, maxRetries: 2, log: quiet });
+    await assert.rejects(client.fetchLastWeek(["a", "b"]), /Rate limited on 2 packages after 2 retries/);
+    assert.equal(server.requests.length, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test("runWithConcurrency keeps at most `limit` requests in flight", async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const server = await startStubServer((request, response) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      response.end(JSON.stringify({ downloads: [] }));
+    }, 300);
+    return true;
+  });
+  try {
+    const client = createDownloadsClient({ baseUrl: server.baseUrl, log: quiet });
+    const names = ["a", "b", "c", "d", "e", "f"];
+    await runWithConcurrency(names.map(name => [name]), 2, batch => client.fetchLastWeek(batch));
+
+    assert.equal(server.requests.length, names.length);
+    assert.equal(maxInFlight, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test("an interrupted generate-npm-stats run resumes from its checkpoint", async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "npm-stats-"));
+  const outputPath = path.join(outputDir, "npm-stats.json");
+  const checkpointPath = path.join(outputDir, ".npm-stats-checkpoint.json");
+
+  // Fail every scoped package on the first run
+  let failing = true;
+  const server = await startStubServer((request, response, packages) => {
+    if (!failing || !packages[0].startsWith("@")) return false;
+    response.statusCode = 500;
+    response.end();
+    return true;
+  });
+  const run = () => promisify(execFile)(
+    process.execPath,
+    [STATS_SCRIPT, "--force", "--api-base", server.baseUrl, "--output", outputPath],
+    { timeout: 60 * 1000 }
+  ).catch(error => error);
+
+  try {
+    const first = await run();
+    assert.equal(first.code, 1);
+    const checkpoint = JSON.parse(await fs.readFile(checkpointPath, "utf-8"));
+    const failed = server.requests.filter(({ packages }) => packages[0].startsWith("@")).map(({ packages }) => packages[0]);
+    assert.ok(failed.length > 0, "the mappings have scoped packages");
+    assert.ok(checkpoint.completed.length > 0);
+    assert.ok(failed.every(name => !checkpoint.completed.includes(name)));
+
+    failing = false;
+    server.requests.length = 0;
+    const second = await run();
+    assert.equal(second.code, undefined);
+    assert.deepEqual(server.requests.flatMap(({ packages }) => packages).sort(), failed.sort());
+    await assert.rejects(fs.access(checkpointPath), "the checkpoint is removed");
+
+    const stats = JSON.parse(await fs.readFile(outputPath, "utf-8"));
+    for (const name of [...checkpoint.completed, ...failed]) {
+      assert.equal(stats[name].history.length, 52, name);
+    }
+  } finally {
+    await server.close();
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
+
+test("a refresh fetches every week since the last recorded one", async () => {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "npm-stats-"));
+  const outputPath = path.join(outputDir, "npm-stats.json");
+
+  // History four weeks behind the last complete week
+  const [lastStart] = getBackfillRange(4).split(":");
+  const recordedEnd = new Date(lastStart);
+  recordedEnd.setUTCDate(recordedEnd.getUTCDate() - 1);
+  const recordedStart = new Date(recordedEnd);
+  recordedStart.setUTCDate(recordedStart.getUTCDate() - 6);
+  const day = date => date.toISOString().split("T")[0];
+  await fs.writeFile(outputPath, JSON.stringify({
+    "array.prototype.at": {
+      downloads: 7,
+      lastModified: "2020-01-01T00:00:00.000Z",
+      history: [{ start: day(recordedStart), end: day(recordedEnd), downloads: 7 }],
+    },
+  }));
+
+  const server = await startStubServer();
+  try {
+    await promisify(execFile)(
+      process.execPath,
+      [STATS_SCRIPT, "--api-base", server.baseUrl, "--output", outputPath],
+      { timeout: 60 * 1000 }
+    );
+
+    const request = server.requests.find(({ packages }) => packages.includes("array.prototype.at"));
+    assert.equal(request.range, getBackfillRange(4));
+
+    const content = await fs.readFile(outputPath, "utf-8");
+    assert.ok(content.endsWith("}\n"));
+    const { history } = JSON.parse(content)["array.prototype.at"];
+    assert.equal(history.length, 5);
+    assert.equal(history.at(-1).end, getBackfillRange(1).split(":")[1]);
+    history.slice(1).forEach((week, i) => {
+      const next = new Date(history[i].end);
+      next.setUTCDate(next.getUTCDate() + 1);
+      assert.equal(week.start, day(next), "weeks follow each other without gaps");
+    });
+  } finally {
+    await server.close();
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getPolyfillVerdicts, getFeatureVerdict, resolveTargets } from "../scripts/lib/polyfill-needs.js";
+
+// Fixed BCD and web-features stand-ins, so verdicts don't change when the
+// installed packages are upgraded
+const bcd = {
+  browsers: { chrome: {}, firefox: {}, safari: {} },
+  api: {
+    Observer: {
+      __compat: { support: { chrome: { version_added: "51" }, firefox: { version_added: "55" }, safari: { version_added: "12.1" } } },
+      extra: {
+        __compat: { support: { chrome: { version_added: "58" }, firefox: { version_added: false }, safari: { version_added: false } } },
+      },
+    },
+    Future: {
+      __compat: { support: { chrome: { version_added: "preview" }, firefox: { version_added: false }, safari: { version_added: null } } },
+    },
+    Partial: {
+      __compat: {
+        support: {
+          chrome: { version_added: "100" },
+          firefox: [{ version_added: "120" }, { version_added: "90", prefix: "-moz-" }],
+          safari: { version_added: "17", partial_implementation: true },
+        },
+      },
+    },
+    Removed: {
+      __compat: { support: { chrome: { version_added: "30", version_removed: "110" }, firefox: { version_added: "≤72" }, safari: { version_added: "10" } } },
+    },
+  },
+};
+
+const features = {
+  "observer": {
+    compat_features: ["api.Observer", "api.Observer.extra"],
+    status: { baseline: "high", by_compat_key: { "api.Observer": { baseline: "high" }, "api.Observer.extra": { baseline: false } } },
+  },
+  "future": { compat_features: ["api.Future"], status: { baseline: false } },
+  "partial": { compat_features: ["api.Partial"], status: { baseline: false } },
+  "removed": { compat_features: ["api.Removed"], status: { baseline: false } },
+  "no-compat-features": { status: { baseline: "high" } },
+  "no-compat-data": { compat_features: ["api.NotInBcd"], status: { baseline: "high" } },
+};
+
+const mappings = Object.fromEntries(Object.keys(features).map(featureId => [featureId, { fallbacks: [] }]));
+
+const TARGETS = [
+  { browser: "chrome", version: "120" },
+  { browser: "firefox", version: "121" },
+  { browser: "safari", version: "17.4-17.5" },
+  { browser: "op_mini", version: "all" },
+];
+
+// Get the verdict for a feature against the given targets
+function verdictFor(featureId, targets = TARGETS) {
+  return getFeatureVerdict(featureId, resolveTargets(targets, { bcd }), { features, bcd });
+}
+
+test("targets are mapped to BCD browsers, and ones without data are unknown", () => {
+  assert.deepEqual(resolveTargets(TARGETS, { bcd }), {
+    targets: [
+      { browser: "chrome", version: "120", query: "chrome 120" },
+      { browser: "firefox", version: "121", query: "firefox 121" },
+      // Ranges are checked against their lowest version
+      { browser: "safari", version: "17.4", query: "safari 17.4-17.5" },
+    ],
+    unknown: ["op_mini all"],
+  });
+});
+
+test("browserslist queries are resolved", () => {
+  const { targets, unknown } = resolveTargets("chrome 120, firefox 121, op_mini all", { bcd });
+
+  assert.deepEqual(targets.map(target => target.query), ["chrome 120", "firefox 121"]);
+  assert.deepEqual(unknown, ["op_mini all"]);
+});
+
+test("polyfills are removable when every target supports the feature", () => {
+  assert.deepEqual(verdictFor("observer"), { verdict: "not-needed", unsupported: [] });
+});
+
+test("compat features less available than the feature don't count", () => {
+  // api.Observer.extra isn't in Firefox or Safari, but isn't Baseline either
+  assert.equal(verdictFor("observer").verdict, "not-needed");
+  assert.deepEqual(verdictFor("observer", [{ browser: "chrome", version: "50" }]), {
+    verdict: "needed",
+    unsupported: [{ target: "chrome 50", missing: ["api.Observer"] }],
+  });
+});
+
+test("polyfills are needed when no target supports the feature", () => {
+  // Preview and unknown (null) support don't count as support
+  assert.deepEqual(verdictFor("future"), {
+    verdict: "needed",
+    unsupported: [
+      { target: "chrome 120", missing: ["api.Future"] },
+      { target: "firefox 121", missing: ["api.Future"] },
+      { target: "safari 17.4-17.5", missing: ["api.Future"] },
+    ],
+  });
+});
+
+test("partial, prefixed and removed support leaves polyfills partially needed", () => {
+  assert.deepEqual(verdictFor("partial"), {
+    verdict: "partially-needed",
+    unsupported: [{ target: "safari 17.4-17.5", missing: ["api.Partial"] }],
+  });
+  assert.equal(verdictFor("partial", [{ browser: "firefox", version: "119" }]).verdict, "needed");
+
+  assert.deepEqual(verdictFor("removed"), {
+    verdict: "partially-needed",
+    unsupported: [{ target: "chrome 120", missing: ["api.Removed"] }],
+  });
+});
+
+test("features without compat data to check are unknown", () => {
+  assert.deepEqual(verdictFor("no-compat-features"), { verdict: "unknown", unsupported: [] });
+  assert.deepEqual(verdictFor("no-compat-data"), { verdict: "unknown", unsupported: [] });
+  assert.deepEqual(verdictFor("not-a-feature"), { verdict: "unknown", unsupported: [] });
+  assert.deepEqual(verdictFor("observer", [{ browser: "op_mini", version: "all" }]), { verdict: "unknown", unsupported: [] });
+});
+
+test("every mapped feature gets a verdict", () => {
+  const { verdicts, targets, unknown } = getPolyfillVerdicts(mappings, TARGETS, { features, bcd });
+
+  assert.deepEqual(Object.fromEntries(Object.entries(verdicts).map(([featureId, { verdict }]) => [featureId, verdict])), {
+    "observer": "not-needed",
+    "future": "needed",
+    "partial": "partially-needed",
+    "removed": "partially-needed",
+    "no-compat-features": "unknown",
+    "no-compat-data": "unknown",
+  });
+  assert.deepEqual(targets, ["chrome 120", "firefox 121", "safari 17.4-17.5"]);
+  assert.deepEqual(unknown, ["op_mini all"]);
+});
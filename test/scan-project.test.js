@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCRIPT = path.join(__dirname, "../scripts/scan-project.js");
+// Mappings for array-at, intersection-observer and structured-clone, one
+// project per lockfile version with the same dependencies, and v1 and v3
+// projects that install polyfills under an alias
+const FIXTURES_DIR = path.join(__dirname, "fixtures/scan-project");
+const MAPPINGS = path.join(FIXTURES_DIR, "polyfills.json");
+
+// Run the script on a project, resolving with its exit code and output
+function scan(projectDir, ...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, projectDir, "--mappings", MAPPINGS, ...args], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+// Sum up hits as "package@versions (direct|transitive) feature"
+function summarize(hits) {
+  return hits.map(hit => `${hit.package}@${hit.versions.join(", ")} (${hit.direct ? "direct" : "transitive"}) ${hit.feature}`);
+}
+
+for (const lockfileVersion of ["v1", "v2", "v3"]) {
+  test(`${lockfileVersion} lockfiles: direct and transitive polyfills are found`, async () => {
+    const { code, stdout } = await scan(path.join(FIXTURES_DIR, lockfileVersion), "--json");
+
+    assert.equal(code, 0);
+    assert.deepEqual(summarize(JSON.parse(stdout)), [
+      "@ungap/structured-clone@1.2.0 (direct) structured-clone",
+      // Hoisted, and nested under some-lib
+      "array.prototype.at@1.1.1, 1.1.3 (transitive) array-at",
+      "intersection-observer@0.12.2 (direct) intersection-observer",
+    ]);
+  });
+}
+
+for (const lockfileVersion of ["v1", "v3"]) {
+  test(`${lockfileVersion} lockfiles: aliased installs are matched by the package they install`, async () => {
+    const { stdout } = await scan(path.join(FIXTURES_DIR, `aliases-${lockfileVersion}`), "--json");
+
+    assert.deepEqual(summarize(JSON.parse(stdout)), [
+      // Installed as "at" by some-lib
+      "array.prototype.at@1.1.1 (transitive) array-at",
+      // Installed as "io" by the project
+      "intersection-observer@0.12.2 (direct) intersection-observer",
+    ]);
+  });
+}
+
+test("direct dependencies come from package.json, or else the root of a v2/v3 lockfile", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "scan-project-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  // v1 lockfiles don't record which dependencies are direct
+  await fs.copyFile(path.join(FIXTURES_DIR, "v1/package-lock.json"), path.join(dir, "package-lock.json"));
+  const v1 = JSON.parse((await scan(dir, "--json")).stdout);
+  assert.ok(v1.every(hit => !hit.direct));
+
+  await fs.copyFile(path.join(FIXTURES_DIR, "v1/package.json"), path.join(dir, "package.json"));
+  const withPackageJson = JSON.parse((await scan(dir, "--json")).stdout);
+  assert.deepEqual(withPackageJson.filter(hit => hit.direct).map(hit => hit.package), ["@ungap/structured-clone", "intersection-observer"]);
+
+  await fs.rm(path.join(dir, "package.json"));
+  await fs.copyFile(path.join(FIXTURES_DIR, "aliases-v3/package-lock.json"), path.join(dir, "package-lock.json"));
+  const v3 = JSON.parse((await scan(dir, "--json")).stdout);
+  assert.deepEqual(v3.filter(hit => hit.direct).map(hit => hit.package), ["intersection-observer"]);
+});
+
+test("JSON output describes each hit's feature and Baseline status", async () => {
+  const { stdout } = await scan(path.join(FIXTURES_DIR, "v3"), "--json");
+  const hit = JSON.parse(stdout).find(hit => hit.package === "intersection-observer");
+
+  assert.deepEqual(Object.keys(hit), ["package", "versions", "direct", "feature", "name", "baseline", "label", "since"]);
+  assert.equal(hit.name, "Intersection observer");
+  assert.equal(hit.baseline, "high");
+  assert.equal(hit.label, "Widely available");
+  assert.match(hit.since, /^\d{4}-\d{2}-\d{2}$/);
+});
+
+test("packages with per-feature modules aren't matched", async () => {
+  const { stdout } = await scan(path.join(FIXTURES_DIR, "v3"), "--json");
+
+  assert.ok(!JSON.parse(stdout).some(hit => hit.package === "core-js"));
+});
+
+test("browser targets add a verdict to each hit", async () => {
+  const { stdout } = await scan(path.join(FIXTURES_DIR, "v3"), "--json", "--browserslist", "chrome 120");
+
+  assert.ok(JSON.parse(stdout).every(hit => hit.verdict === "not-needed" && hit.unsupported.length === 0));
+});
+
+test("the report lists each hit with its dependency type", async () => {
+  const { stdout } = await scan(path.join(FIXTURES_DIR, "v1"));
+
+  assert.match(stdout, /^Found 3 polyfill\(s\) in .*v1\n/);
+  assert.match(stdout, /• array\.prototype\.at@1\.1\.1, 1\.1\.3 \(transitive\)\n    Array at\(\) \(array-at\): Widely available since \d{4}-\d{2}-\d{2}\n/);
+  assert.match(stdout, /• intersection-observer@0\.12\.2 \(direct\)\n/);
+});
+
+test("--fail-on-match exits with 1 only when polyfills are found", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "scan-project-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(dir, "package.json"), JSON.stringify({ dependencies: { lodash: "^4.17.21" } }));
+
+  const found = await scan(path.join(FIXTURES_DIR, "v2"), "--fail-on-match");
+  assert.equal(found.code, 1);
+  assert.match(found.stdout, /Found 3 polyfill\(s\)/);
+
+  const clean = await scan(dir, "--fail-on-match");
+  assert.equal(clean.code, 0);
+  assert.match(clean.stdout, /✓ No known polyfills found/);
+});
+
+test("projects without a package.json or lockfile are an error", async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "scan-project-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const { code, stderr } = await scan(dir);
+  assert.equal(code, 1);
+  assert.match(stderr, /No package\.json or package-lock\.json found/);
+});
@@ -0,0 +1,140 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateMappings } from "../scripts/lib/mappings.js";
+import { getSources, SOURCES } from "../scripts/sources/index.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// Make a stub adapter that discovers the given fallbacks, as
+// { feature: [fallback, ...] }
+function stubSource(name, fallbacksByFeature, merge) {
+  return {
+    name,
+    description: `Stub source ${name}`,
+    merge,
+    async discover() {
+      return Object.entries(fallbacksByFeature).flatMap(([feature, fallbacks]) =>
+        fallbacks.map(fallback => ({ feature, fallback, provenance: { page: `${name}/${feature}` } }))
+      );
+    },
+  };
+}
+
+const first = stubSource("first", {
+  "array-at": [{ type: "polyfill", url: "https://www.npmjs.com/package/foo", npm: "foo", description: "Foo" }],
+  "array-flat": [{ type: "polyfill", url: "https://github.com/owner/bar" }],
+});
+
+const second = stubSource("second", {
+  // The same package as first's, linked by its repository
+  "array-at": [
+    { type: "polyfill", url: "https://github.com/owner/foo", npm: "foo", repository: "owner/foo", description: "Foo polyfill" },
+    { type: "polyfill", url: "https://www.npmjs.com/package/baz", npm: "baz" },
+  ],
+  // Exactly what first found
+  "array-flat": [{ type: "polyfill", url: "https://github.com/owner/bar" }],
+  "array-findlast": [{ type: "polyfill", url: "https://www.npmjs.com/package/qux", npm: "qux" }],
+});
+
+// Run the stub sources through generateMappings
+function generate(sources, merge) {
+  return generateMappings({ sources, merge, features: {}, log: quiet });
+}
+
+// Sum up each feature's fallbacks as "url (source, enriched by ...)"
+function summarize(mappings) {
+  return Object.fromEntries(Object.entries(mappings).map(([featureId, { fallbacks }]) => [
+    featureId,
+    fallbacks.map(({ url, source }) =>
+      source.enriched_by ? `${url} (${source.name}, enriched by ${source.enriched_by.join(", ")})` : `${url} (${source.name})`
+    ),
+  ]));
+}
+
+test("enrich: matching fallbacks fill in missing fields and list the source in enriched_by", async () => {
+  const { mappings, stats } = await generate([first, second]);
+
+  assert.deepEqual(summarize(mappings), {
+    "array-at": [
+      "https://www.npmjs.com/package/foo (first, enriched by second)",
+      "https://www.npmjs.com/package/baz (second)",
+    ],
+    "array-flat": ["https://github.com/owner/bar (first)"],
+    "array-findlast": ["https://www.npmjs.com/package/qux (second)"],
+  });
+  // Fields the first fallback has are kept, missing ones are filled in
+  assert.equal(mappings["array-at"].fallbacks[0].description, "Foo");
+  assert.equal(mappings["array-at"].fallbacks[0].repository, "owner/foo");
+  assert.deepEqual(
+    stats.map(({ source, policy, discovered, added, enriched, skipped }) => ({ source, policy, discovered, added, enriched, skipped })),
+    [
+      { source: "first", policy: "enrich", discovered: 2, added: 2, enriched: 0, skipped: 0 },
+      { source: "second", policy: "enrich", discovered: 4, added: 2, enriched: 1, skipped: 1 },
+    ]
+  );
+});
+
+test("append: every fallback is added, and duplicates are merged afterwards", async () => {
+  const { mappings, stats, merges } = await generate([first, second], { second: "append" });
+
+  assert.deepEqual(summarize(mappings), {
+    "array-at": [
+      "https://www.npmjs.com/package/foo (first, enriched by second)",
+      "https://www.npmjs.com/package/baz (second)",
+    ],
+    "array-flat": ["https://github.com/owner/bar (first)"],
+    "array-findlast": ["https://www.npmjs.com/package/qux (second)"],
+  });
+  assert.deepEqual(stats.map(({ policy, added }) => [policy, added]), [["enrich", 2], ["append", 4]]);
+  assert.deepEqual(merges.map(({ featureId, dropped, reason }) => [featureId, dropped, reason]), [
+    ["array-at", "https://github.com/owner/foo", "same npm package"],
+    ["array-flat", "https://github.com/owner/bar", "same page"],
+  ]);
+});
+
+test("fill: fallbacks are only added to features no earlier source covers", async () => {
+  const { mappings, stats } = await generate([first, second], { second: "fill" });
+
+  assert.deepEqual(summarize(mappings), {
+    "array-at": ["https://www.npmjs.com/package/foo (first)"],
+    "array-flat": ["https://github.com/owner/bar (first)"],
+    "array-findlast": ["https://www.npmjs.com/package/qux (second)"],
+  });
+  assert.equal(mappings["array-at"].fallbacks[0].repository, undefined);
+  assert.deepEqual(stats.map(({ policy, added, skipped }) => [policy, added, skipped]), [["enrich", 2, 0], ["fill", 1, 3]]);
+});
+
+test("an adapter's own merge policy is used unless the merge option overrides it", async () => {
+  const filling = { ...second, merge: "fill" };
+
+  const { stats } = await generate([first, filling]);
+  assert.equal(stats[1].policy, "fill");
+
+  const { stats: overridden } = await generate([first, filling], { second: "append" });
+  assert.equal(overridden[1].policy, "append");
+});
+
+test("sources earlier in the list take precedence", async () => {
+  const { mappings } = await generate([second, first]);
+
+  assert.deepEqual(summarize(mappings)["array-at"], [
+    "https://github.com/owner/foo (second)",
+    "https://www.npmjs.com/package/baz (second)",
+  ]);
+  assert.equal(mappings["array-at"].fallbacks[0].description, "Foo polyfill");
+  // first's fallback only had fields second's already has
+  assert.equal(mappings["array-at"].fallbacks[0].source.enriched_by, undefined);
+  assert.equal(mappings["array-at"].fallbacks[0].source.page, "second/array-at");
+});
+
+test("the registry lists sources in priority order and resolves them by name", () => {
+  assert.deepEqual(SOURCES.map(source => source.name), ["mdn", "cssdb", "core-js", "es-shims"]);
+  assert.deepEqual(getSources(["es-shims", "mdn"]).map(source => source.name), ["es-shims", "mdn"]);
+  assert.equal(getSources(), SOURCES);
+  assert.deepEqual(getSources(["cssdb", first]).map(source => source.name), ["cssdb", "first"]);
+  assert.throws(() => getSources(["unknown"]), /Unknown source "unknown"\. Available sources: mdn, cssdb, core-js, es-shims/);
+});
+
+test("unknown merge policies are refused", async () => {
+  await assert.rejects(generate([first, second], { second: "overwrite" }), /Unknown merge policy "overwrite" for second/);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeUrl, getUrlKey, extractNpmPackage, extractRepository, extractRepositoryPath } from "../scripts/lib/urls.js";
+
+test("normalizeUrl drops trailing slashes", () => {
+  assert.equal(normalizeUrl("https://www.npmjs.com/package/foo/"), "https://www.npmjs.com/package/foo");
+  assert.equal(normalizeUrl("https://example.com/docs//"), "https://example.com/docs");
+  assert.equal(normalizeUrl("https://example.com/path/?q=1"), "https://example.com/path?q=1");
+  // The root path keeps its slash
+  assert.equal(normalizeUrl("https://example.com/"), "https://example.com/");
+});
+
+test("normalizeUrl uses https and the canonical host for npm and GitHub", () => {
+  assert.equal(normalizeUrl("http://npmjs.com/package/foo"), "https://www.npmjs.com/package/foo");
+  assert.equal(normalizeUrl("https://npmjs.com/package/@scope/pkg"), "https://www.npmjs.com/package/@scope/pkg");
+  assert.equal(normalizeUrl("http://www.github.com/owner/repo"), "https://github.com/owner/repo");
+  // Other sites may not serve https
+  assert.equal(normalizeUrl("http://example.com/polyfill.js"), "http://example.com/polyfill.js");
+});
+
+test("normalizeUrl drops .git from GitHub URLs and trims whitespace", () => {
+  assert.equal(normalizeUrl("https://github.com/owner/repo.git"), "https://github.com/owner/repo");
+  assert.equal(normalizeUrl("  https://github.com/owner/repo/tree/main/plugins/x/ "), "https://github.com/owner/repo/tree/main/plugins/x");
+  assert.equal(normalizeUrl("https://example.com/repo.git"), "https://example.com/repo.git");
+});
+
+test("normalizeUrl keeps anchors, so core-js sections stay distinct", () => {
+  assert.equal(normalizeUrl("https://github.com/zloirock/core-js#ecmascript-array"), "https://github.com/zloirock/core-js#ecmascript-array");
+  assert.equal(normalizeUrl("https://github.com/zloirock/core-js/#ecmascript-typed-arrays"), "https://github.com/zloirock/core-js#ecmascript-typed-arrays");
+  assert.notEqual(
+    normalizeUrl("https://github.com/zloirock/core-js#ecmascript-array"),
+    normalizeUrl("https://github.com/zloirock/core-js#ecmascript-typed-arrays")
+  );
+  assert.equal(normalizeUrl("https://www.npmjs.com/package/foo#readme"), "https://www.npmjs.com/package/foo#readme");
+});
+
+test("normalizeUrl leaves strings that aren't URLs alone", () => {
+  assert.equal(normalizeUrl("not a url"), "not a url");
+});
+
+test("getUrlKey ignores the protocol, www., trailing slashes and anchors", () => {
+  const key = "npmjs.com/package/foo";
+  assert.equal(getUrlKey("https://www.npmjs.com/package/foo"), key);
+  assert.equal(getUrlKey("http://npmjs.com/package/foo/"), key);
+  assert.equal(getUrlKey("https://www.npmjs.com/package/foo#readme"), key);
+
+  assert.equal(getUrlKey("https://github.com/zloirock/core-js#ecmascript-array"), "github.com/zloirock/core-js");
+  assert.equal(getUrlKey("https://example.com/path/?q=1#x"), "example.com/path?q=1");
+});
+
+test("getUrlKey ignores case on GitHub only", () => {
+  assert.equal(getUrlKey("http://www.github.com/Owner/Repo.git/"), "github.com/owner/repo");
+  assert.equal(getUrlKey("https://example.com/Polyfill.js"), "example.com/Polyfill.js");
+  assert.equal(getUrlKey("https://www.npmjs.com/package/@Scope/pkg"), "npmjs.com/package/@Scope/pkg");
+});
+
+test("getUrlKey keeps packages and monorepo directories apart", () => {
+  assert.notEqual(getUrlKey("https://www.npmjs.com/package/foo"), getUrlKey("https://www.npmjs.com/package/foo-bar"));
+  assert.notEqual(
+    getUrlKey("https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-nesting"),
+    getUrlKey("https://github.com/csstools/postcss-plugins/tree/main/plugins/postcss-is-pseudo-class")
+  );
+});
+
+test("npm packages and repositories are extracted from their URL forms", () => {
+  assert.equal(extractNpmPackage("https://www.npmjs.com/package/array.prototype.at"), "array.prototype.at");
+  assert.equal(extractNpmPackage("https://www.npmjs.com/package/@js-temporal/polyfill#readme"), "@js-temporal/polyfill");
+  assert.equal(extractNpmPackage("https://formatjs.github.io/docs/polyfills/intl-locale/"), "@formatjs/intl-locale");
+  assert.equal(extractNpmPackage("https://github.com/owner/repo"), null);
+
+  assert.equal(extractRepository("https://github.com/owner/repo.git"), "owner/repo");
+  assert.equal(extractRepository("https://github.com/zloirock/core-js#ecmascript-array"), "zloirock/core-js");
+  assert.deepEqual(extractRepositoryPath("https://github.com/owner/repo/tree/main/plugins/x/"), { repository: "owner/repo", directory: "plugins/x" });
+  assert.equal(extractRepositoryPath("https://github.com/owner/repo/issues/1"), null);
+});
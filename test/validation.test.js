@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validatePolyfills, validateOverrides, isMetadataKey, formatProblem } from "../scripts/lib/validation.js";
+
+// A valid polyfills.json fallback
+const polyfill = { type: "polyfill", url: "https://www.npmjs.com/package/array.prototype.at", npm: "array.prototype.at" };
+
+// Sum up problems as "key: message"
+function summarize(problems) {
+  return problems.map(({ key, message }) => `${key}: ${message}`);
+}
+
+test("only comments and $schema are metadata keys", () => {
+  assert.ok(isMetadataKey("_comment"));
+  assert.ok(isMetadataKey("$schema"));
+  assert.ok(!isMetadataKey("$comment"));
+  assert.ok(!isMetadataKey("array-at"));
+});
+
+test("metadata keys in overrides are skipped, other $ keys are checked", async () => {
+  const problems = await validateOverrides({
+    "$schema": "./polyfills-overrides.schema.json",
+    "_comment": "Not a feature",
+    "$comment": { exclude: true },
+  });
+
+  assert.deepEqual(summarize(problems), ["$comment: unknown web-features ID"]);
+});
+
+test("valid mappings have no problems", async () => {
+  assert.deepEqual(await validatePolyfills({ "array-at": { fallbacks: [polyfill] } }), []);
+});
+
+test("unknown, moved and split feature IDs are reported", async () => {
+  const problems = await validatePolyfills({
+    "not-a-feature": { fallbacks: [polyfill] },
+    "numeric-seperators": { fallbacks: [polyfill] },
+    "single-color-gradients": { fallbacks: [polyfill] },
+  });
+
+  assert.deepEqual(summarize(problems), [
+    "not-a-feature: unknown web-features ID",
+    'numeric-seperators: feature has moved to "numeric-separators"',
+    'single-color-gradients: feature has been split into "gradients", "conic-gradients"',
+  ]);
+});
+
+test("URLs to the same page are duplicates within a fallback type", async () => {
+  const problems = await validatePolyfills({
+    "array-at": {
+      fallbacks: [
+        polyfill,
+        { type: "polyfill", url: "http://npmjs.com/package/array.prototype.at/#readme" },
+        // The same URL as another type of fallback is fine
+        { type: "postcss-plugin", url: "https://www.npmjs.com/package/array.prototype.at" },
+      ],
+    },
+  });
+
+  assert.deepEqual(summarize(problems), ["array-at.fallbacks[1].url: duplicate URL, same as fallbacks[0]"]);
+});
+
+test("npm names that don't match the npmjs.com URL are reported", async () => {
+  const problems = await validatePolyfills({
+    "array-at": {
+      fallbacks: [
+        { type: "polyfill", url: "https://www.npmjs.com/package/array.prototype.at", npm: "array-prototype-at" },
+        // Only npmjs.com URLs name a package
+        { type: "polyfill", url: "https://github.com/zloirock/core-js", npm: "core-js" },
+      ],
+    },
+  });
+
+  assert.deepEqual(summarize(problems), [
+    'array-at.fallbacks[0].npm: "array-prototype-at" doesn\'t match the package in the URL ("array.prototype.at")',
+  ]);
+});
+
+test("conflicting override modes are reported", async () => {
+  const problems = await validateOverrides({
+    "array-at": { exclude: true, replace: true },
+    "array-flat": { exclude: true, fallbacks: [polyfill], remove: [{ npm: "array.prototype.flat" }], use_case: "Flatten arrays" },
+    "array-findlast": { replace: true, patch: [{ npm: "core-js", set: { description: "core-js" } }] },
+  });
+
+  assert.deepEqual(summarize(problems), [
+    `array-at: "exclude" and "replace" can't be combined`,
+    `array-flat: "fallbacks" are ignored when "exclude" is set`,
+    `array-flat: "remove" and "patch" are ignored when "exclude" is set`,
+    `array-flat: feature metadata is ignored when "exclude" is set`,
+    `array-findlast: "replace" requires "fallbacks"`,
+    `array-findlast: "remove" and "patch" have nothing to change when "replace" is set`,
+  ]);
+});
+
+test("problems are formatted with their file and key", () => {
+  assert.equal(
+    formatProblem({ file: "polyfills.json", key: "array-at.fallbacks[1].url", message: "duplicate URL, same as fallbacks[0]" }),
+    "mappings/polyfills.json → array-at.fallbacks[1].url: duplicate URL, same as fallbacks[0]"
+  );
+  assert.equal(formatProblem({ file: "polyfills.json", key: "", message: "must be object" }), "mappings/polyfills.json: must be object");
+});